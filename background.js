@@ -0,0 +1,247 @@
+// YouTube Custom Speed Control - Background Service Worker
+// Shows the active tab's speed on the toolbar badge and handles the keyboard commands and
+// context menus. Speeds are read and set through the content script's getSpeed and setSpeed
+// messages, so channel profiles, video memory and independent tabs work as they do from the popup.
+// It also stores the watch time every tab counts (see stats.js) and pulls in settings synced from
+// other computers (see sync.js).
+
+importScripts('settings.js', 'sync.js', 'stats.js');
+
+// Pages with a player the content script controls (same as the popup)
+const YOUTUBE_PLAYER_URL = /^https:\/\/(www\.youtube\.com\/(watch|shorts\/|embed\/)|www\.youtube-nocookie\.com\/embed\/|music\.youtube\.com\/)/;
+
+// Where the "Play at" entries show up when right-clicking the page or the video
+const PLAYER_PAGE_PATTERNS = [
+  'https://www.youtube.com/watch*',
+  'https://www.youtube.com/shorts/*',
+  'https://www.youtube.com/embed/*',
+  'https://www.youtube-nocookie.com/embed/*',
+  'https://music.youtube.com/*'
+];
+
+// Links the "Play at" entries open in a new tab
+const VIDEO_LINK_PATTERNS = [
+  'https://www.youtube.com/watch*',
+  'https://www.youtube.com/shorts/*',
+  'https://youtu.be/*',
+  'https://music.youtube.com/watch*'
+];
+
+const CONTEXT_MENU_SPEEDS = [1, 1.5, 2];
+const BADGE_COLOR = '#3ea6ff';
+const SPEED_RETRY_INTERVAL = 500; // ms between tries while a new tab's video loads
+const SPEED_RETRY_ATTEMPTS = 30; // Give up after 15 seconds
+
+let watchStatsWrite = Promise.resolve(); // The last queued watch stats write
+let pendingWatchTime = []; // Watch time from tabs waiting for the next write
+
+// Badge text for a speed, e.g. '1.5' (the badge only fits about four characters)
+function formatBadgeSpeed(speed) {
+  return String(parseFloat(speed.toFixed(2)));
+}
+
+function setBadgeSpeed(tabId, speed) {
+  chrome.action.setBadgeText({ tabId: tabId, text: speed ? formatBadgeSpeed(speed) : '' }).catch(error => {
+    // The tab was closed in the meantime
+    console.error('Error updating badge:', error);
+  });
+}
+
+// Ask a tab's content script for its speed (null if it has no player or isn't running)
+async function getTabSpeed(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'getSpeed' }, { frameId: 0 });
+    return response && response.currentSpeed ? response.currentSpeed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Set a tab's speed through its content script; returns the speed it now plays at
+async function setTabSpeed(tabId, speed, source, frameId = 0) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'setSpeed', speed: speed, source: source }, { frameId: frameId });
+    return response && response.success ? response.currentSpeed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Show a tab's speed on the badge (nothing on pages without a player)
+async function refreshBadge(tab) {
+  if (!tab || !tab.url || !YOUTUBE_PLAYER_URL.test(tab.url)) {
+    if (tab) setBadgeSpeed(tab.id, null);
+    return;
+  }
+  setBadgeSpeed(tab.id, await getTabSpeed(tab.id));
+}
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab || null;
+}
+
+// Speed up, slow down or reset the active tab (the same steps as the popup's arrow keys)
+async function handleSpeedCommand(command) {
+  const tab = await getActiveTab();
+  if (!tab || !tab.url || !YOUTUBE_PLAYER_URL.test(tab.url)) return;
+
+  const currentSpeed = await getTabSpeed(tab.id);
+  if (currentSpeed === null) return;
+
+  const settings = await loadSettings();
+  let speed;
+  if (command === 'speed-up') {
+    speed = Math.min(settings.maxSpeed, currentSpeed + settings.speedStep);
+  } else if (command === 'slow-down') {
+    speed = Math.max(settings.minSpeed, currentSpeed - settings.speedStep);
+  } else if (command === 'reset-speed') {
+    speed = 1.0;
+  } else {
+    return;
+  }
+
+  const newSpeed = await setTabSpeed(tab.id, parseFloat(speed.toFixed(2)), 'shortcut');
+  if (newSpeed !== null) {
+    setBadgeSpeed(tab.id, newSpeed);
+  }
+}
+
+// Keep asking a tab that's still loading until it takes the speed (the content script
+// turns setSpeed down until the page's own speed has been applied)
+async function setTabSpeedWhenReady(tabId, speed, frameId = 0) {
+  for (let attempt = 0; attempt < SPEED_RETRY_ATTEMPTS; attempt++) {
+    const newSpeed = await setTabSpeed(tabId, speed, 'menu', frameId);
+    if (newSpeed !== null) {
+      if (frameId === 0) {
+        setBadgeSpeed(tabId, newSpeed);
+      }
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, SPEED_RETRY_INTERVAL));
+  }
+  console.error('Gave up setting the speed of tab', tabId);
+}
+
+// Run watch stats writes one after another, each on the stats the previous one stored
+function queueWatchStatsWrite(write) {
+  watchStatsWrite = watchStatsWrite.then(write).catch(error => {
+    console.error('Error saving watch stats:', error);
+  });
+  return watchStatsWrite;
+}
+
+// Store a stretch of watching a tab counted; stretches that arrive while a write is
+// waiting go into that write, so busy sessions don't write once per tab
+function queueWatchTime(entry) {
+  pendingWatchTime.push(Object.assign({}, entry, { date: new Date(entry.date) }));
+  if (pendingWatchTime.length > 1) return;
+  queueWatchStatsWrite(() => {
+    const entries = pendingWatchTime;
+    pendingWatchTime = [];
+    return recordWatchTime(entries);
+  });
+}
+
+// Add the "Play at" entries for the page, the video and video links
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_SPEEDS.forEach(speed => {
+      chrome.contextMenus.create({
+        id: `play-at-${speed}`,
+        title: `Play at ${speed}x`,
+        contexts: ['page', 'video'],
+        documentUrlPatterns: PLAYER_PAGE_PATTERNS
+      });
+      chrome.contextMenus.create({
+        id: `open-at-${speed}`,
+        title: `Play at ${speed}x in a new tab`,
+        contexts: ['link'],
+        targetUrlPatterns: VIDEO_LINK_PATTERNS
+      });
+    });
+  });
+}
+
+// A "Play at" entry was picked
+async function handleContextMenuClick(info, tab) {
+  const match = /^(play|open)-at-([\d.]+)$/.exec(info.menuItemId);
+  if (!match) return;
+  const speed = parseFloat(match[2]);
+
+  if (match[1] === 'open') {
+    const newTab = await chrome.tabs.create({ url: info.linkUrl, index: tab ? tab.index + 1 : undefined, openerTabId: tab ? tab.id : undefined });
+    setTabSpeedWhenReady(newTab.id, speed);
+    return;
+  }
+
+  // Embeds on other sites are frames; set the speed in the one that was clicked
+  await setTabSpeedWhenReady(tab.id, speed, info.frameId || 0);
+}
+
+// Upgrade stored settings and catch up on sync changes made while the browser was closed.
+// Only the service worker reconciles (and the options page when sync is turned on), so
+// opening tabs, the popup or the options page doesn't write to sync.
+async function prepareSettings() {
+  try {
+    await migrateSettings();
+    await reconcileSyncedSettings();
+  } catch (error) {
+    console.error('Error preparing settings:', error);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+  prepareSettings();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+  prepareSettings();
+});
+
+chrome.commands.onCommand.addListener(command => {
+  handleSpeedCommand(command).catch(error => console.error('Error handling command:', error));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab).catch(error => console.error('Error handling context menu:', error));
+});
+
+// Content scripts report speed changes made on the page (panel, shortcuts, channel profiles, ...)
+// and the watch time they count; the popup resets the stats here so the reset waits its turn.
+// Pages also hand over the wait before their settled speed is pushed to sync (see sync.js).
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'speedChanged' && sender.tab && sender.frameId === 0) {
+    setBadgeSpeed(sender.tab.id, request.currentSpeed);
+  } else if (request.action === 'recordWatchTime') {
+    queueWatchTime(request.entry);
+  } else if (request.action === 'resetWatchStats') {
+    queueWatchStatsWrite(resetWatchStats).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'scheduleSyncPush') {
+    startDelayedSyncPush();
+    sendResponse({ success: true });
+  }
+});
+
+// Copy settings synced from another computer into local storage, where every tab, the popup
+// and the options page pick them up
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync') {
+    applySyncedChanges(changes);
+  }
+});
+
+// Keep the badge right as tabs load, navigate and get switched to
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    refreshBadge(tab);
+  }
+});
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId).then(refreshBadge).catch(error => console.error('Error reading tab:', error));
+});
@@ -0,0 +1,149 @@
+// YouTube Custom Speed Control - Settings Backup
+// Export and import of everything in SETTINGS_SCHEMA as a versioned JSON file.
+// Used by options.js; loaded after settings.js, sync.js, presets.js and chapters.js.
+
+const BACKUP_FORMAT = 'yt-custom-speed-settings';
+
+// Keys holding one entry per video, channel or action: merging an import
+// combines their entries instead of replacing the whole map
+const MERGEABLE_BACKUP_KEYS = ['channelSpeeds', 'videoSpeeds', 'abLoops', 'shortcuts'];
+
+// Maps whose entries each carry a speed that must be within the speed range
+const BACKUP_SPEED_MAPS = {
+  channelSpeeds: 'channel speeds',
+  videoSpeeds: 'video speeds',
+  abLoops: 'A-B loops'
+};
+
+// Build the backup file contents from everything stored
+async function exportSettingsBackup() {
+  const settings = await loadSettings();
+  settings.settingsVersion = SETTINGS_VERSION;
+  DEVICE_ONLY_KEYS.forEach(key => delete settings[key]);
+  return {
+    format: BACKUP_FORMAT,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: settings
+  };
+}
+
+// Read a backup file and check every value against the schema
+// Returns { settings, errors } where settings is null if the file can't be used
+function parseSettingsBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { settings: null, errors: ['The file is not valid JSON'] };
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.settings ||
+      typeof backup.settings !== 'object' || Array.isArray(backup.settings)) {
+    return { settings: null, errors: ['This is not a speed control settings file'] };
+  }
+  if (typeof backup.version !== 'number' || backup.version < 0) {
+    return { settings: null, errors: ['The file has no settings version'] };
+  }
+  if (backup.version > SETTINGS_VERSION) {
+    return { settings: null, errors: ['The file was exported by a newer version of the extension'] };
+  }
+
+  // Older files go through the same migrations as stored settings
+  const settings = runSettingsMigrations(JSON.parse(JSON.stringify(backup.settings)), backup.version);
+  const errors = [];
+  Object.keys(settings).forEach(key => {
+    if (!SETTINGS_SCHEMA[key]) {
+      errors.push(`Unknown setting "${key}"`);
+    }
+  });
+  if (errors.length === 0) {
+    errors.push(...validateSettings(settings));
+  }
+
+  return { settings: errors.length === 0 ? settings : null, errors: errors };
+}
+
+// Combine imported settings with the current ones
+// mode 'merge' keeps anything the file doesn't mention; 'replace' resets it to the defaults
+function buildImportedSettings(current, imported, mode) {
+  const result = mode === 'replace' ? getDefaultSettings() : cloneSettingValue(current);
+  Object.keys(imported).forEach(key => {
+    if (mode === 'merge' && MERGEABLE_BACKUP_KEYS.includes(key)) {
+      result[key] = Object.assign({}, result[key], cloneSettingValue(imported[key]));
+    } else {
+      result[key] = cloneSettingValue(imported[key]);
+    }
+  });
+  // Sync bookkeeping and debug settings belong to this device, whatever the file says
+  DEVICE_ONLY_KEYS.forEach(key => {
+    result[key] = cloneSettingValue(current[key]);
+  });
+  result.settingsVersion = SETTINGS_VERSION;
+  return result;
+}
+
+// Check the combined settings the same way the options page and saveSpeed do
+function validateImportedSettings(settings) {
+  const errors = validateSettings(settings);
+  if (errors.length > 0) return errors;
+
+  if (!isValidSpeed(settings.playbackSpeed, settings)) {
+    errors.push(`Speed ${settings.playbackSpeed} is not between ${settings.minSpeed}x and ${settings.maxSpeed}x`);
+  }
+  Object.keys(BACKUP_SPEED_MAPS).forEach(key => {
+    const entries = settings[key];
+    const invalid = Object.keys(entries).filter(id => !entries[id] || !isValidSpeed(entries[id].speed, settings));
+    if (invalid.length > 0) {
+      errors.push(`${BACKUP_SPEED_MAPS[key]}: ${invalid.length} not between ${settings.minSpeed}x and ${settings.maxSpeed}x`);
+    }
+  });
+  if (settings.speedPresets) {
+    errors.push(...validatePresetGroups(settings.speedPresets, settings.minSpeed, settings.maxSpeed).errors);
+  }
+  if (settings.chapterRules) {
+    errors.push(...validateChapterRules(settings.chapterRules, settings.minSpeed, settings.maxSpeed).errors);
+  }
+  if (settings.controlsSelectors) {
+    errors.push(...validateControlsSelectors(settings.controlsSelectors));
+  }
+  errors.push(...findShortcutConflicts(getShortcutBindings(settings.shortcuts)));
+  return errors;
+}
+
+// Describe a stored value for the import preview
+function describeSettingValue(value) {
+  if (value === null || value === undefined) return 'default';
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  if (Array.isArray(value)) return `${value.length} ${value.length === 1 ? 'item' : 'items'}`;
+  if (typeof value === 'object') {
+    const count = Object.keys(value).length;
+    return `${count} ${count === 1 ? 'entry' : 'entries'}`;
+  }
+  return String(value);
+}
+
+// List what importing would change: [{ key, before, after, detail }]
+function diffSettings(before, after) {
+  return Object.keys(SETTINGS_SCHEMA)
+    .filter(key => key !== 'settingsVersion' && JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => {
+      let detail = '';
+      if (MERGEABLE_BACKUP_KEYS.includes(key) && before[key] && after[key]) {
+        const added = Object.keys(after[key]).filter(id => !(id in before[key])).length;
+        const removed = Object.keys(before[key]).filter(id => !(id in after[key])).length;
+        const changed = Object.keys(after[key]).filter(id =>
+          id in before[key] && JSON.stringify(before[key][id]) !== JSON.stringify(after[key][id])).length;
+        detail = [[added, 'added'], [changed, 'changed'], [removed, 'removed']]
+          .filter(([count]) => count > 0)
+          .map(([count, label]) => `${count} ${label}`)
+          .join(', ');
+      }
+      return {
+        key: key,
+        before: describeSettingValue(before[key]),
+        after: describeSettingValue(after[key]),
+        detail: detail
+      };
+    });
+}
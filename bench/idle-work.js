@@ -0,0 +1,290 @@
+// Measures how much work the content scripts do per minute on a YouTube page, headlessly.
+// The scripts (in manifest.json order) run in jsdom against a page with a YouTube-style player,
+// with a virtual clock driving every timer. After 5 seconds of warm-up, timer and
+// MutationObserver callbacks are counted over one minute of page time, and the CPU time spent
+// inside them is read with process.cpuUsage(). CPU times are jsdom's, so only comparisons
+// between two trees mean anything.
+//
+//   npm run bench                     measure this tree
+//   npm run bench -- <dir> [runs]     measure another checkout (e.g. a git worktree of an
+//                                     older commit); CPU is the median of runs (default 5)
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCENARIOS = [
+  { page: 'home', features: false },
+  { page: 'home', features: true },
+  { page: 'paused', features: false },
+  { page: 'paused', features: true },
+  { page: 'playing', features: false },
+  { page: 'playing', features: true }
+];
+
+const WARM_UP_MS = 5000;
+const MEASURE_MS = 60000;
+
+const WATCH_PAGE = `
+<div id="page-manager">
+  <div id="movie_player" class="html5-video-player">
+    <video></video>
+    <div class="ytp-chrome-bottom">
+      <div class="ytp-progress-bar-container"></div>
+      <div class="ytp-chrome-controls">
+        <div class="ytp-left-controls"><span class="ytp-time-current">0:00</span></div>
+        <div class="ytp-right-controls"><button class="ytp-settings-button"></button><button class="ytp-fullscreen-button"></button></div>
+      </div>
+    </div>
+  </div>
+  <div id="below"><div id="owner"><ytd-channel-name><a href="/@channel">Channel</a></ytd-channel-name></div></div>
+  <div id="comments"></div>
+</div>`;
+const HOME_PAGE = '<div id="page-manager"><div id="contents"></div></div>';
+
+// Timers on a virtual clock, so a minute of page time takes a second or two
+function createClock(window, counts) {
+  const timers = new Map();
+  let nextId = 1;
+  const clock = { now: 0, measuring: false };
+
+  const add = (callback, delay, repeat, args) => {
+    const id = nextId++;
+    const every = Math.max(delay || 0, 1);
+    timers.set(id, { callback: callback, args: args, at: clock.now + every, every: repeat ? every : 0 });
+    return id;
+  };
+  window.setTimeout = (callback, delay, ...args) => add(callback, delay, false, args);
+  window.setInterval = (callback, delay, ...args) => add(callback, delay, true, args);
+  window.clearTimeout = window.clearInterval = id => timers.delete(id);
+  window.requestAnimationFrame = callback => add(() => callback(clock.now), 16, false, []);
+  window.cancelAnimationFrame = id => timers.delete(id);
+  const start = Date.now();
+  window.Date.now = () => start + clock.now;
+  window.performance.now = () => clock.now;
+
+  // Run the timers due at the current time
+  clock.runDue = () => {
+    const due = Array.from(timers.entries())
+      .filter(([, timer]) => timer.at <= clock.now)
+      .sort((a, b) => a[1].at - b[1].at);
+    due.forEach(([id, timer]) => {
+      if (!timers.has(id)) return;
+      if (timer.every) {
+        timer.at += timer.every;
+      } else {
+        timers.delete(id);
+      }
+      counts.measure('timers', () => timer.callback(...timer.args));
+    });
+    return due.length;
+  };
+  return clock;
+}
+
+// The parts of the page the content scripts touch that jsdom leaves out
+function fakePageApis(window, scenario) {
+  const document = window.document;
+  const player = document.querySelector('#movie_player');
+  if (player) {
+    // jsdom has no layout; give the player its usual size
+    const rect = () => ({ x: 0, y: 0, top: 0, left: 0, width: 1280, height: 720, right: 1280, bottom: 720 });
+    player.getBoundingClientRect = rect;
+    player.querySelector('video').getBoundingClientRect = rect;
+    Object.defineProperty(player, 'offsetWidth', { get: () => 1280 });
+    Object.defineProperty(player, 'offsetHeight', { get: () => 720 });
+  }
+
+  const video = document.querySelector('video');
+  if (video) {
+    let rate = 1;
+    let paused = scenario.page !== 'playing';
+    let time = 0;
+    Object.defineProperty(video, 'playbackRate', {
+      get: () => rate,
+      set: value => {
+        if (value === rate) return;
+        rate = value;
+        video.dispatchEvent(new window.Event('ratechange'));
+      }
+    });
+    Object.defineProperty(video, 'paused', { get: () => paused });
+    Object.defineProperty(video, 'ended', { get: () => false });
+    Object.defineProperty(video, 'readyState', { get: () => 4 });
+    Object.defineProperty(video, 'duration', { get: () => 3600 });
+    Object.defineProperty(video, 'currentTime', { get: () => time, set: value => { time = value; } });
+    video.play = () => {
+      paused = false;
+      video.dispatchEvent(new window.Event('playing'));
+      return Promise.resolve();
+    };
+    video.pause = () => {
+      paused = true;
+      video.dispatchEvent(new window.Event('pause'));
+    };
+    video.advance = ms => {
+      if (!paused) time += ms / 1000 * rate;
+    };
+  }
+
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+
+  // A steady signal, so smart speed never finds silence to skip
+  window.AudioContext = class {
+    constructor() {
+      this.state = 'running';
+      this.destination = {};
+    }
+    createMediaElementSource() {
+      return { connect() {} };
+    }
+    createAnalyser() {
+      return { fftSize: 2048, connect() {}, getFloatTimeDomainData(data) { data.fill(0.3); } };
+    }
+    resume() {
+      return Promise.resolve();
+    }
+  };
+
+  window.console = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+  return video;
+}
+
+// chrome.* with storage in memory; smart speed and adaptive speed on or off
+function fakeChrome(features) {
+  const area = store => ({
+    get: async keys => {
+      const result = {};
+      [].concat(keys === null || keys === undefined ? Object.keys(store) : keys).forEach(key => {
+        if (key in store) result[key] = JSON.parse(JSON.stringify(store[key]));
+      });
+      return result;
+    },
+    set: async values => {
+      Object.assign(store, JSON.parse(JSON.stringify(values)));
+    },
+    remove: async keys => {
+      [].concat(keys).forEach(key => delete store[key]);
+    },
+    getBytesInUse: async () => 0
+  });
+  const local = features ? { smartSpeedEnabled: true, adaptiveSpeedEnabled: true } : {};
+  return {
+    runtime: { id: 'bench', onMessage: { addListener() {} }, sendMessage: () => Promise.resolve() },
+    storage: { local: area(local), sync: area({}), onChanged: { addListener() {} } }
+  };
+}
+
+// What YouTube does on its own: the time display ticks while playing, and the page keeps
+// adding content below the player (comments) or to the feed (home page)
+function updatePage(window, video, now) {
+  const document = window.document;
+  if (video) {
+    video.advance(1);
+    if (!video.paused && now % 250 === 0) {
+      document.querySelector('.ytp-time-current').textContent = String(Math.floor(video.currentTime));
+    }
+  }
+  if (now % 1000 === 0) {
+    const item = document.createElement('div');
+    item.textContent = 'item ' + now;
+    document.querySelector('#comments, #contents').appendChild(item);
+  }
+}
+
+// Let pending promises and observer callbacks run
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// One minute of one scenario: { timers, observers, cpuMs }
+async function runScenario(dir, scenario) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  const source = manifest.content_scripts[0].js
+    .map(file => fs.readFileSync(path.join(dir, file), 'utf8'))
+    .join('\n;\n');
+
+  const url = scenario.page === 'home' ? 'https://www.youtube.com/' : 'https://www.youtube.com/watch?v=abcdefghijk';
+  const body = scenario.page === 'home' ? HOME_PAGE : WATCH_PAGE;
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, { url: url, runScripts: 'outside-only' });
+  const window = dom.window;
+
+  const counts = { timers: 0, observers: 0, cpuMicros: 0 };
+  counts.measure = (kind, callback) => {
+    const start = process.cpuUsage();
+    try {
+      callback();
+    } catch (error) {
+      // A failing callback doesn't stop the page
+    }
+    if (!clock.measuring) return;
+    const used = process.cpuUsage(start);
+    counts[kind]++;
+    counts.cpuMicros += used.user + used.system;
+  };
+
+  const clock = createClock(window, counts);
+  const RealMutationObserver = window.MutationObserver;
+  window.MutationObserver = class extends RealMutationObserver {
+    constructor(callback) {
+      super((...args) => counts.measure('observers', () => callback(...args)));
+    }
+  };
+  const video = fakePageApis(window, scenario);
+  window.chrome = fakeChrome(scenario.features);
+
+  window.eval(source);
+  for (let i = 0; i < 20; i++) {
+    await settle();
+  }
+  if (video && scenario.page === 'playing') {
+    video.dispatchEvent(new window.Event('playing'));
+  }
+
+  const advance = async ms => {
+    const end = clock.now + ms;
+    while (clock.now < end) {
+      clock.now++;
+      updatePage(window, video, clock.now);
+      if (clock.runDue() > 0 || clock.now % 50 === 0) {
+        await settle();
+      }
+    }
+  };
+  await advance(WARM_UP_MS);
+  clock.measuring = true;
+  await advance(MEASURE_MS);
+  window.close();
+  return { timers: counts.timers, observers: counts.observers, cpuMs: counts.cpuMicros / 1000 };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function main() {
+  const dir = path.resolve(process.argv[2] || path.join(__dirname, '..'));
+  const runs = parseInt(process.argv[3], 10) || 5;
+  console.log(`Content script work per minute in ${dir} (CPU: median of ${runs} runs)\n`);
+  console.log('| Page | Smart + adaptive speed | Timer callbacks | Observer callbacks | Script CPU |');
+  console.log('|------|------------------------|-----------------|--------------------|------------|');
+  for (const scenario of SCENARIOS) {
+    const results = [];
+    for (let run = 0; run < runs; run++) {
+      results.push(await runScenario(dir, scenario));
+    }
+    const page = { home: 'Home page', paused: 'Paused video', playing: 'Playing video' }[scenario.page];
+    const cpu = Math.round(median(results.map(result => result.cpuMs)));
+    console.log(`| ${page} | ${scenario.features ? 'on' : 'off'} | ${results[0].timers} | ${results[0].observers} | ${cpu}ms |`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
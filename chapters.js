@@ -0,0 +1,82 @@
+// YouTube Custom Speed Control - Chapter Speed Rules
+// Shared by content.js (applies the rules) and options.js (edits them)
+
+// Example rules used until the user saves their own
+const DEFAULT_CHAPTER_RULES = [
+  { pattern: 'intro|recap', speed: 2.5 },
+  { pattern: 'sponsor', speed: 4 },
+  { pattern: 'demo', speed: 1 }
+];
+const MAX_CHAPTER_RULES = 20;
+
+// Copy the default rules so callers can't modify them by accident
+function getDefaultChapterRules() {
+  return JSON.parse(JSON.stringify(DEFAULT_CHAPTER_RULES));
+}
+
+// Validate rules against the allowed speed range
+// Returns { rules, errors } where rules is a cleaned-up copy (null if invalid)
+function validateChapterRules(rules, minSpeed, maxSpeed) {
+  const errors = [];
+
+  if (!Array.isArray(rules)) {
+    return { rules: null, errors: ['Chapter rules are not a list'] };
+  }
+  if (rules.length > MAX_CHAPTER_RULES) {
+    errors.push(`Use at most ${MAX_CHAPTER_RULES} chapter rules`);
+  }
+
+  const cleanRules = rules.map((rule, index) => {
+    const ruleName = `Chapter rule ${index + 1}`;
+    const pattern = rule && typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+    const speed = rule ? rule.speed : undefined;
+
+    if (!pattern) {
+      errors.push(`${ruleName} needs a title pattern`);
+    } else {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`${ruleName}: "${pattern}" is not a valid pattern`);
+      }
+    }
+    if (typeof speed !== 'number' || isNaN(speed) || speed < minSpeed || speed > maxSpeed) {
+      errors.push(`${ruleName}: ${speed} is not between ${minSpeed}x and ${maxSpeed}x`);
+    }
+
+    return { pattern: pattern, speed: Math.round(speed * 100) / 100 };
+  });
+
+  return { rules: errors.length === 0 ? cleanRules : null, errors: errors };
+}
+
+// Get the rules to use from loaded settings, falling back to the defaults
+function getChapterRules(settings) {
+  if (settings.chapterRules) {
+    const validated = validateChapterRules(settings.chapterRules, settings.minSpeed, settings.maxSpeed);
+    if (validated.rules) {
+      return validated.rules;
+    }
+    logSettingsEvent('warn', 'chapter', 'Ignoring invalid chapter rules:', validated.errors);
+  }
+  return getDefaultChapterRules();
+}
+
+// Find the first rule whose pattern matches a chapter title (case-insensitive)
+function findChapterRule(rules, title) {
+  if (!title) return null;
+  return rules.find(rule => {
+    try {
+      return new RegExp(rule.pattern, 'i').test(title);
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+// Turn a chapter timestamp ("1:02:03", "4:05") into seconds (NaN if it isn't one)
+function parseChapterTime(text) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec((text || '').trim());
+  if (!match) return NaN;
+  return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2], 10) * 60) + parseInt(match[3], 10);
+}
@@ -1,234 +1,1653 @@
 // YouTube Custom Speed Control - Content Script
 
-const PRESET_SPEEDS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 3, 4, 5, 10];
-const MIN_SPEED = 0.2;
-const MAX_SPEED = 10.0;
-const SPEED_STEP = 0.2;
+const MAX_VIDEO_SPEEDS = 500; // Most recently used videos kept in per-video speed memory
+const MAX_AB_LOOPS = 200; // Most recently used videos kept in A-B loop memory
+const ADAPTIVE_WINDOW_SECONDS = 30; // Media seconds of captions the words-per-second rate is measured over
+const ADAPTIVE_MIN_SAMPLE_SECONDS = 8; // Don't adapt until this much of the window has been seen
+const PLAYER_SEARCH_INTERVAL = 500; // ms between looks for a player (or controls) that hasn't rendered yet
+const PLAYER_SEARCH_ATTEMPTS = 60; // Stop looking after 30 seconds; the next navigation looks again
+const PLAYER_CHECK_DELAY = 250; // Player mutations within this many ms are handled together
+const TAB_SESSION_KEY = 'ytCustomSpeedTab'; // sessionStorage key for this tab's speed mode and own speed
 
+// What the speed HUD says caused a speed change
+const HUD_SOURCE_LABELS = {
+  manual: 'Manual',
+  shortcut: 'Shortcut',
+  popup: 'Popup',
+  menu: 'Context menu',
+  sync: 'Synced from another tab or computer',
+  restored: 'Restored after reset',
+  resumed: 'Back to your speed',
+  video: 'Video memory',
+  channel: 'Channel profile',
+  global: 'Global default',
+  tab: 'Tab speed',
+  shorts: 'Shorts default',
+  smart: 'Smart speed',
+  adaptive: 'Adaptive speed',
+  chapter: 'Chapter rule',
+  ramp: 'Speed ramp',
+  loop: 'A-B loop',
+  ad: 'Ad'
+};
+
+// Surfaces the content script runs on. Each adapter knows where that surface
+// keeps its player and video, how to read the video ID and which link names the
+// channel (where its control bar is comes from the strategies in selectors.js).
+const SURFACE_ADAPTERS = {
+  watch: {
+    getPlayer: () => document.querySelector('#movie_player'),
+    getVideo: (player) => player ? player.querySelector('video') : document.querySelector('video'),
+    getVideoId: () => new URLSearchParams(window.location.search).get('v'),
+    channelSelector: 'ytd-watch-metadata ytd-video-owner-renderer ytd-channel-name a, ' +
+      'ytd-video-owner-renderer #channel-name a, #owner #channel-name a',
+    requiresPlayerSize: true
+  },
+  shorts: {
+    getPlayer: () => {
+      const reel = getActiveShort();
+      return reel ? reel.querySelector('#shorts-player, .html5-video-player') || reel : null;
+    },
+    getVideo: () => {
+      const reel = getActiveShort();
+      const video = reel ? reel.querySelector('video') : null;
+      return video || document.querySelector('#shorts-player video');
+    },
+    getVideoId: () => window.location.pathname.split('/')[2] || null,
+    // Watch the whole feed so scrolling to the next short (is-active moving) is noticed
+    getWatchRoot: () => document.querySelector('ytd-shorts') || getActiveShort(),
+    channelSelector: 'ytd-reel-video-renderer[is-active] ytd-channel-name a, ' +
+      'ytd-reel-video-renderer[is-active] reel-channel-bar-view-model a',
+    requiresPlayerSize: true
+  },
+  // youtube.com/embed and youtube-nocookie.com/embed, usually inside an iframe
+  embed: {
+    getPlayer: () => document.querySelector('#movie_player, .html5-video-player'),
+    getVideo: (player) => player ? player.querySelector('video') : document.querySelector('video'),
+    // Playlist embeds switch videos without changing the URL, so prefer the title link
+    getVideoId: () => {
+      const titleLink = document.querySelector('.ytp-title-link');
+      const href = titleLink ? titleLink.getAttribute('href') : null;
+      const id = href ? new URL(href, window.location.origin).searchParams.get('v') : null;
+      return id || window.location.pathname.split('/')[2] || null;
+    },
+    channelSelector: '.ytp-title-expanded-title a, .ytp-title-channel-name a',
+    requiresPlayerSize: true
+  },
+  // music.youtube.com keeps its controls in a bar at the bottom of the page
+  music: {
+    getPlayer: () => document.querySelector('ytmusic-player-bar'),
+    getVideo: () => document.querySelector('ytmusic-player video, #movie_player video'),
+    getVideoId: () => new URLSearchParams(window.location.search).get('v'),
+    channelSelector: 'ytmusic-player-bar .byline a[href*="channel/"]',
+    requiresPlayerSize: false, // The bar is only ~70px tall
+    buttonClass: 'yt-custom-speed-button-music'
+  }
+};
+
+let settings = getDefaultSettings(); // Speed range, step and slider range (see settings.js)
 let currentSpeed = 1.0;
+let presetGroups = getDefaultPresetGroups(); // Preset buttons shown in the panel (see presets.js)
 let speedPanel = null;
 let speedButton = null;
-let observer = null;
+let speedHud = null; // On-video overlay that shows speed changes
+let speedHudTimeout = null; // Timer that hides the HUD (or shrinks it to the badge)
 let isSliderActive = false; // Flag to prevent interference while using slider
 let saveSpeedTimeout = null; // Debounce timer for saving speed
-let lastManualSpeedChange = 0; // Timestamp of last manual speed change
-let lastVideoSpeedChange = 0; // Timestamp when video speed last changed (by anyone)
-let previousVideoSpeed = 1.0; // Track previous video speed
-let temporarySpeed = null; // Track if there's a temporary speed active (e.g., 2x from hold feature)
+const speedOwnership = createSpeedOwnership({ // Who owns the video's rate right now (see ownership.js)
+  onStateChange: handleSpeedOwnerChange,
+  onRestore: handleSpeedRestored
+});
+let currentChannel = null; // { id, name } of the channel that owns the current video
+let speedSource = 'global'; // Where currentSpeed came from: 'video', 'channel', 'shorts', 'tab' or 'global'
+let tabSpeedMode = null; // 'linked' or 'independent' picked for this tab in the popup (null follows settings.tabSpeedMode)
+let tabSpeed = null; // This tab's own speed while independent (seeded from the global speed)
+let channelSpeed = null; // Remembered speed for currentChannel, or null if it has no profile
+let channelLookupToken = 0; // Incremented per lookup so stale navigations are ignored
+let pageSpeedReady = false; // This page's own speed (video memory, channel profile, ...) has been applied
+let lastSpeed = null; // Speed before the most recent change, for the "toggle last speed" shortcut
+let reportedSpeed = null; // Speed last sent to the toolbar badge
+let smartSpeedContext = null; // AudioContext the player audio is routed through
+let smartSpeedAnalyser = null; // AnalyserNode between the video and the speakers
+let smartSpeedSources = new WeakMap(); // video -> MediaElementAudioSourceNode (can only be created once per element)
+let smartSpeedSilenceStart = null; // When the current stretch of silence began
+let smartSpeedBoosting = false; // Whether the video is currently sped up through silence
+let smartSpeedSecondsSaved = 0; // Wall-clock seconds saved on the current video
+let smartSpeedLastTick = 0; // Timestamp of the previous sample
+let activeRamp = null; // Running speed ramp: { from, to, amount, unit, elapsed, lastTime, lastApplied, video, videoId }
+let activeLoop = null; // Running A-B loop: { start, end, speed, step, every, until, reps, loopSpeed, seeking, video, videoId }
+let savedLoop = null; // Loop stored for savedLoopVideoId ({ start, end, speed, step, every, until }), shown in the panel
+let savedLoopVideoId = null; // Video savedLoop was looked up for
+let chapterRules = getDefaultChapterRules(); // Chapter title patterns and their speeds (see chapters.js)
+let chapterList = []; // [{ start, title }] chapters of chapterVideoId, sorted by start time
+let chapterVideoId = null; // Video the chapter list belongs to
+let chapterLastLookup = 0; // When the page was last searched for chapters
+let activeChapter = null; // { start, title } of the chapter playing now
+let activeChapterRule = null; // Rule applied to activeChapter (null if none, or the user overrode it)
+let statsVideo = null; // Bound video element watch time is being counted on
+let statsPending = null; // Watch time not stored yet: { videoId, channel, media, wall, speeds }
+let statsLastMediaTime = 0; // video.currentTime at the previous timeupdate
+let statsLastWallTime = 0; // Date.now() at the previous timeupdate
+let statsRate = 1; // Playback rate since the previous timeupdate
+let statsFlushTimeout = null; // Timer that stores statsPending
+let adaptiveSamples = []; // [{ time, words }] new caption words by media time, within the window
+let adaptiveSampleStart = null; // Media time the current run of samples started at
+let adaptiveLastCaption = ''; // Caption text seen on the previous tick
+let adaptiveLastTime = 0; // Media time of the previous tick, to notice seeks
+let adaptiveSpeed = null; // Temporary speed adaptive mode applied (null when not adapting)
+let adaptiveWordsPerSecond = null; // Latest measured caption density
+let adObserver = null; // Watches the player's class for ads starting and ending
+let adPlayer = null; // Player element adObserver is watching
+let adPlaying = false; // Whether an ad is playing now
+let adMuted = false; // Whether we muted the video for the current ad
+let boundVideo = null; // The one video element features are attached to (see bindVideo)
+const videoHooks = []; // [{ attach(video), detach(video) }] run when boundVideo changes
+const playbackTimers = []; // [{ interval, tick, isEnabled, onStart, onStop, id }] run while boundVideo plays
+let videoHooksRunning = false; // Hooks that apply a speed mustn't start another bind
+let playerWatcher = null; // MutationObserver scoped to watchedRoot (see watchPlayer)
+let watchedRoot = null; // Element playerWatcher observes: the player, or the Shorts feed
+let watchedUrl = null; // URL checkPlayer last saw, to notice navigations YouTube fires no event for
+let playerCheckTimeout = null; // Pending checkPlayer run for a batch of mutations
+let playerSearchTimer = null; // Interval that looks for the player until the controls are in
+let playerSearchAttempts = 0; // Looks since playerSearchTimer started
+let injectionReport = null; // This page's injection: { surface, status, strategy, reason, attempts, updatedAt }
 
-// Load saved speed from storage
-async function loadSavedSpeed() {
+// Load saved settings and speed from storage
+async function loadSavedSettings() {
+  settings = await loadSettings();
+  configureLogger(settings);
+  loadTabSession();
+  currentSpeed = isTabIndependent() && tabSpeed !== null ? tabSpeed : settings.playbackSpeed;
+  chapterRules = getChapterRules(settings);
+}
+
+// Load this tab's speed mode and own speed (sessionStorage lasts as long as the tab, reloads included)
+function loadTabSession() {
   try {
-    const result = await chrome.storage.local.get(['playbackSpeed']);
-    if (result.playbackSpeed) {
-      currentSpeed = result.playbackSpeed;
-    }
+    const saved = JSON.parse(sessionStorage.getItem(TAB_SESSION_KEY)) || {};
+    tabSpeedMode = TAB_SPEED_MODES.includes(saved.mode) ? saved.mode : null;
+    tabSpeed = isValidSpeed(saved.speed, settings) ? saved.speed : null;
   } catch (error) {
-    console.error('Error loading saved speed:', error);
+    // Storage is blocked (e.g. in a sandboxed embed); the tab's mode just won't survive a reload
+    logWarn('storage', 'Could not load the tab session:', error);
+  }
+}
+
+function saveTabSession() {
+  try {
+    sessionStorage.setItem(TAB_SESSION_KEY, JSON.stringify({ mode: tabSpeedMode, speed: tabSpeed }));
+  } catch (error) {
+    logWarn('storage', 'Could not save the tab session:', error);
+  }
+}
+
+function getTabSpeedMode() {
+  return tabSpeedMode || settings.tabSpeedMode;
+}
+
+// Independent tabs keep their own speed; linked tabs follow the global speed set in any tab
+function isTabIndependent() {
+  return getTabSpeedMode() === 'independent';
+}
+
+// Keep a speed picked in an independent tab to itself
+function saveTabSpeed(speed) {
+  tabSpeed = speed;
+  speedSource = 'tab';
+  saveTabSession();
+}
+
+// Switch this tab between linked and independent
+async function setTabSpeedMode(mode) {
+  if (!TAB_SPEED_MODES.includes(mode)) return;
+  const wasIndependent = isTabIndependent();
+  tabSpeedMode = mode;
+  saveTabSession();
+  await handleTabSpeedModeChange(wasIndependent);
+}
+
+// Carry the speed over when the tab's mode changed (from the popup or the options page default)
+async function handleTabSpeedModeChange(wasIndependent) {
+  const independent = isTabIndependent();
+  if (independent === wasIndependent) return;
+  logInfo('speed', 'Tab speed mode:', getTabSpeedMode());
+  
+  if (independent) {
+    // The tab keeps its current speed, but stops following other tabs
+    saveTabSpeed(currentSpeed);
+  } else {
+    // Rejoin the other tabs
+    tabSpeed = null;
+    saveTabSession();
+    await applyResolvedSpeed();
   }
 }
 
 // Save speed to storage
 function saveSpeed(speed) {
   // Validate speed value
-  if (typeof speed !== 'number' || isNaN(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
-    console.warn('Invalid speed value:', speed);
+  if (!isValidSpeed(speed, settings)) {
+    logWarn('storage', 'Invalid speed value:', speed);
     return;
   }
   
   if (!chrome.storage || !chrome.storage.local) {
-    console.warn('Chrome storage API not available');
+    logWarn('storage', 'Chrome storage API not available');
     return;
   }
   
-  chrome.storage.local.set({ playbackSpeed: speed }, () => {
-    if (chrome.runtime.lastError) {
-      console.error('Error saving speed:', chrome.runtime.lastError);
+  saveSettings({ playbackSpeed: speed }).catch(error => {
+    logError('storage', 'Error saving speed:', error);
+  });
+}
+
+// Load per-channel speed profiles from storage
+async function loadChannelSpeeds() {
+  return loadSetting('channelSpeeds');
+}
+
+// Remember a speed for a channel (pass null to forget it)
+async function setChannelSpeed(channel, speed) {
+  if (!channel) return;
+  if (speed !== null && !isValidSpeed(speed, settings)) {
+    logWarn('storage', 'Invalid channel speed value:', speed);
+    return;
+  }
+  
+  const channelSpeeds = await loadChannelSpeeds();
+  if (speed === null) {
+    delete channelSpeeds[channel.id];
+  } else {
+    channelSpeeds[channel.id] = { speed: speed, name: channel.name };
+  }
+  
+  try {
+    await saveSettings({ channelSpeeds: channelSpeeds });
+  } catch (error) {
+    logError('storage', 'Error saving channel speed:', error);
+  }
+}
+
+// Load per-video speed memory from storage
+async function loadVideoSpeeds() {
+  return loadSetting('videoSpeeds');
+}
+
+// Remember the speed used for a video, evicting the least recently used entries
+async function rememberVideoSpeed(videoId, speed) {
+  if (!videoId) return;
+  if (!isValidSpeed(speed, settings)) {
+    logWarn('storage', 'Invalid video speed value:', speed);
+    return;
+  }
+  
+  const videoSpeeds = await loadVideoSpeeds();
+  videoSpeeds[videoId] = { speed: speed, lastUsed: Date.now() };
+  
+  const videoIds = Object.keys(videoSpeeds);
+  if (videoIds.length > MAX_VIDEO_SPEEDS) {
+    videoIds
+      .sort((a, b) => videoSpeeds[a].lastUsed - videoSpeeds[b].lastUsed)
+      .slice(0, videoIds.length - MAX_VIDEO_SPEEDS)
+      .forEach(id => delete videoSpeeds[id]);
+  }
+  
+  try {
+    await saveSettings({ videoSpeeds: videoSpeeds });
+  } catch (error) {
+    logError('storage', 'Error saving video speed:', error);
+  }
+}
+
+// Debounced save of the current speed to video memory and to the channel
+// profile (if the channel has one), the Shorts default (on Shorts, if enabled)
+// or the global speed
+function scheduleSave(speed) {
+  // Independent tabs keep their speed to themselves: no video memory, channel profile or global speed
+  const independent = isTabIndependent();
+  const videoId = !independent && isVideoPage() ? getVideoId() : null;
+  const channel = !independent && channelSpeed !== null ? currentChannel : null;
+  const shortsDefault = !independent && !channel && isShortsPage() && settings.shortsSpeedEnabled;
+  
+  if (saveSpeedTimeout) {
+    clearTimeout(saveSpeedTimeout);
+  }
+  saveSpeedTimeout = setTimeout(() => {
+    rememberVideoSpeed(videoId, speed);
+    if (channel) {
+      channelSpeed = speed;
+      setChannelSpeed(channel, speed);
+    } else if (shortsDefault) {
+      settings.shortsSpeed = speed;
+      saveSettings({ shortsSpeed: speed }).catch(error => {
+        logError('storage', 'Error saving Shorts speed:', error);
+      });
+    } else if (independent) {
+      saveTabSpeed(speed);
     } else {
-      // Optional: log success for debugging
-      // console.log('Speed saved:', speed);
+      saveSpeed(speed);
     }
-  });
+  }, 300); // Save after 300ms of no changes
 }
 
 // Apply speed to video element
-function applySpeed(speed, skipSave = false) {
-  // Get video from the main player
-  const mainPlayer = document.querySelector('#movie_player');
-  const video = mainPlayer ? mainPlayer.querySelector('video') : document.querySelector('video');
+// Temporary speeds (e.g. smart speed boosts) only change the video, not currentSpeed;
+// the ownership state machine hands the rate back to currentSpeed when they end.
+// The source (a HUD_SOURCE_LABELS key) is shown in the speed HUD.
+function applySpeed(speed, skipSave = false, temporary = false, source = 'manual') {
+  // Get video from the main player (or the active short)
+  const video = getVideo();
   
   if (!video) {
-    console.log('[YT Speed] No video element found to apply speed');
+    logDebug('speed', 'No video element found to apply speed');
     return;
   }
   
-  // Check if video is ready to accept playback rate changes
-  if (video.readyState < 1) {
-    console.log('[YT Speed] Video not ready (readyState:', video.readyState + '), will retry when ready');
-    // Wait for video to be ready
-    const applyWhenReady = () => {
-      if (video.readyState >= 1) {
-        console.log('[YT Speed] Video now ready, applying speed:', speed);
-        video.playbackRate = speed;
-        currentSpeed = speed;
-        previousVideoSpeed = speed;
-        lastManualSpeedChange = Date.now();
-        if (!skipSave) {
-          if (saveSpeedTimeout) clearTimeout(saveSpeedTimeout);
-          saveSpeedTimeout = setTimeout(() => saveSpeed(speed), 300);
-        }
-        updateSpeedDisplay();
-      }
-    };
-    video.addEventListener('loadedmetadata', applyWhenReady, { once: true });
-    video.addEventListener('canplay', applyWhenReady, { once: true });
-    // Also try after a delay as fallback
-    setTimeout(() => {
-      if (video.readyState >= 1) applyWhenReady();
-    }, 500);
+  const changed = Math.abs(video.playbackRate - speed) > 0.01;
+  
+  if (temporary) {
+    bindVideo(video);
+    if (source === 'ad') {
+      speedOwnership.startAd(speed);
+    } else {
+      speedOwnership.setRuleSpeed(speed, source);
+    }
+    if (changed) {
+      showSpeedHud(speed, source);
+    }
     return;
   }
   
-  // Video is ready, apply immediately
-  video.playbackRate = speed;
+  // Remember the outgoing speed (slider drags record it once, on mousedown)
+  if (!isSliderActive && Math.abs(speed - currentSpeed) > 0.01) {
+    lastSpeed = currentSpeed;
+  }
+  
+  // A video that isn't ready yet is held at this speed until it plays (see ownership.js)
+  speedOwnership.setUserSpeed(speed);
+  bindVideo(video);
+  if (changed && !adPlaying) {
+    showSpeedHud(speed, source);
+  }
   currentSpeed = speed;
-  previousVideoSpeed = speed; // Keep tracking in sync
-  lastManualSpeedChange = Date.now(); // Mark when we manually changed speed
-  console.log('[YT Speed] Speed applied:', speed, 'readyState:', video.readyState);
+  logDebug('speed', 'Speed applied:', speed, 'readyState:', video.readyState);
   
   if (!skipSave) {
     // Debounce saving to prevent rapid saves during slider movement
-    if (saveSpeedTimeout) {
-      clearTimeout(saveSpeedTimeout);
-    }
-    saveSpeedTimeout = setTimeout(() => {
-      saveSpeed(speed);
-    }, 300); // Save after 300ms of no changes
+    scheduleSave(speed);
+  }
+  updateSpeedDisplay();
+  reportSpeed();
+}
+
+// Let the background service worker show the new speed on the toolbar badge
+function reportSpeed() {
+  if (reportedSpeed === currentSpeed) return;
+  reportedSpeed = currentSpeed;
+  try {
+    chrome.runtime.sendMessage({ action: 'speedChanged', currentSpeed: currentSpeed }).catch(() => {
+      // The service worker isn't listening (e.g. it's being updated); the badge catches up on the next tab switch
+    });
+  } catch (error) {
+    // The extension was reloaded and this page still runs the old content script
+    logDebug('speed', 'Could not report speed:', error);
   }
+}
+
+// Log ownership transitions (user, youtube, ad, rule, restoring)
+function handleSpeedOwnerChange(state, previousState, reason) {
+  logInfo('owner', 'Speed owner:', previousState, '->', state, '(' + reason + ')');
+}
+
+// The state machine put currentSpeed back after YouTube reset it or an ad ended
+function handleSpeedRestored(speed, reason) {
+  showSpeedHud(speed, reason === 'ad-ended' ? 'resumed' : 'restored');
   updateSpeedDisplay();
 }
 
-// Get current video element (prefer main player)
+// Hand the rate back to currentSpeed when a feature's temporary speed ends,
+// unless the user, YouTube or another feature has taken over since
+function releaseTemporarySpeed(source) {
+  if (speedOwnership.getRuleSource() === source) {
+    applySpeed(currentSpeed, true, false, 'resumed');
+  }
+}
+
+// Work out which surface this page is (null when there's no player to control)
+function getSurface() {
+  const path = window.location.pathname;
+  if (window.location.hostname === 'music.youtube.com') return 'music';
+  if (path.startsWith('/embed/')) return 'embed';
+  if (path.startsWith('/shorts/')) return 'shorts';
+  if (path === '/watch' || window.location.href.includes('/watch?')) return 'watch';
+  return null;
+}
+
+// Get the adapter for this page's surface (the watch page layout by default)
+function getSurfaceAdapter() {
+  return SURFACE_ADAPTERS[getSurface()] || SURFACE_ADAPTERS.watch;
+}
+
+// Get current video element (main player, active short, embed or YouTube Music)
 function getVideo() {
-  const mainPlayer = document.querySelector('#movie_player');
-  return mainPlayer ? mainPlayer.querySelector('video') : document.querySelector('video');
+  const adapter = getSurfaceAdapter();
+  return adapter.getVideo(adapter.getPlayer());
+}
+
+// Get the short currently on screen (Shorts keep neighbouring shorts rendered)
+function getActiveShort() {
+  return document.querySelector('ytd-reel-video-renderer[is-active]');
 }
 
-// Check if we should allow speed changes (for YouTube's native features)
-function shouldAllowSpeedChange(videoSpeed) {
-  // If we just manually changed the speed, don't allow overriding it
-  if (Date.now() - lastManualSpeedChange < 500) {
+// Get the player element the panel lives in
+function getPlayerContainer() {
+  return getSurfaceAdapter().getPlayer();
+}
+
+// Get the ID of the current video (/watch?v=<id>, /shorts/<id>, /embed/<id>)
+function getVideoId() {
+  return getSurfaceAdapter().getVideoId();
+}
+
+// Read the channel of the current video from the watch page metadata
+function findChannelInfo() {
+  // The metadata below the player lags behind SPA navigation, so only trust it
+  // once the watch page has switched to the video in the URL
+  const videoId = getVideoId();
+  const watchPage = document.querySelector('ytd-watch-flexy');
+  if (isWatchPage() && watchPage && videoId && watchPage.getAttribute('video-id') !== videoId) {
+    return null;
+  }
+
+  const channelLink = document.querySelector(getSurfaceAdapter().channelSelector);
+  const href = channelLink ? channelLink.getAttribute('href') : null;
+  if (!href) return null;
+
+  // Use the channel path (/@handle or /channel/UC...) as a stable ID
+  const id = new URL(href, window.location.origin).pathname.replace(/\/+$/, '');
+  if (!id) return null;
+
+  return { id: id, name: channelLink.textContent.trim() || id };
+}
+
+// Wait for the channel metadata of the current video to render
+function detectChannel(maxAttempts = 20) {
+  return new Promise((resolve) => {
+    let attempts = 0;
+
+    const check = () => {
+      attempts++;
+      const channel = findChannelInfo();
+      if (channel || attempts >= maxAttempts) {
+        resolve(channel);
+      } else {
+        setTimeout(check, 250);
+      }
+    };
+
+    check();
+  });
+}
+
+// Work out which speed the current video should play at: video memory first,
+// then the channel profile, then the Shorts default (on Shorts), then the global speed.
+// Independent tabs skip all of them for their own speed.
+async function resolveSpeed() {
+  const videoId = isVideoPage() ? getVideoId() : null;
+  const [videoSpeeds, channelSpeeds] = await Promise.all([loadVideoSpeeds(), loadChannelSpeeds()]);
+  const profile = currentChannel ? channelSpeeds[currentChannel.id] : null;
+  const profileSpeed = profile ? profile.speed : null;
+  
+  // An independent tab plays at its own speed; the global speed only seeds it
+  if (isTabIndependent()) {
+    if (tabSpeed === null || !isValidSpeed(tabSpeed, settings)) {
+      saveTabSpeed(await loadSetting('playbackSpeed'));
+    }
+    return { speed: tabSpeed, source: 'tab', channelSpeed: profileSpeed };
+  }
+  
+  if (videoId && videoSpeeds[videoId]) {
+    return { speed: videoSpeeds[videoId].speed, source: 'video', channelSpeed: profileSpeed };
+  }
+  if (profile) {
+    return { speed: profile.speed, source: 'channel', channelSpeed: profileSpeed };
+  }
+  if (isShortsPage() && settings.shortsSpeedEnabled && isValidSpeed(settings.shortsSpeed, settings)) {
+    return { speed: settings.shortsSpeed, source: 'shorts', channelSpeed: profileSpeed };
+  }
+
+  const globalSpeed = await loadSetting('playbackSpeed');
+  return { speed: globalSpeed, source: 'global', channelSpeed: profileSpeed };
+}
+
+// Apply the remembered speed (video, channel or global) for the current video
+async function applyResolvedSpeed() {
+  const resolved = await resolveSpeed();
+  speedSource = resolved.source;
+  channelSpeed = resolved.channelSpeed;
+
+  // Resuming a video counts as using it, so keep it fresh in the LRU
+  if (resolved.source === 'video') {
+    rememberVideoSpeed(getVideoId(), resolved.speed);
+  }
+
+  const video = getVideo();
+  const videoNeedsSpeed = video && Math.abs(video.playbackRate - resolved.speed) > 0.01;
+  if (videoNeedsSpeed || Math.abs(resolved.speed - currentSpeed) > 0.01) {
+    logInfo('speed', 'Applying', resolved.source, 'speed:', resolved.speed);
+    applySpeed(resolved.speed, true, false, resolved.source); // Already stored, no need to save again
+    updateSlider(resolved.speed);
+    updateActivePreset(resolved.speed);
+  }
+  updateChannelControls();
+}
+
+// Detect the channel after navigation and apply its speed profile
+async function applyChannelProfile() {
+  const lookupToken = ++channelLookupToken;
+  
+  // The previous video's channel no longer applies
+  currentChannel = null;
+  channelSpeed = null;
+  pageSpeedReady = false;
+  const channel = await detectChannel();
+
+  // A newer navigation started while we were waiting
+  if (lookupToken !== channelLookupToken) return;
+
+  currentChannel = channel;
+  logInfo('channel', 'Current channel:', channel ? channel.id : 'unknown');
+  await applyResolvedSpeed();
+  if (lookupToken === channelLookupToken) {
+    pageSpeedReady = true;
+  }
+}
+
+// Remember the current speed for the current channel
+async function rememberChannelSpeed() {
+  if (!currentChannel) return;
+  channelSpeed = currentSpeed;
+  await setChannelSpeed(currentChannel, currentSpeed);
+  updateChannelControls();
+}
+
+// Forget the current channel's speed and fall back to video memory or the global speed
+async function forgetChannelSpeed() {
+  if (!currentChannel) return;
+  await setChannelSpeed(currentChannel, null);
+  await applyResolvedSpeed();
+}
+
+// Describe where the current speed came from for the popup
+function getChannelState() {
+  return {
+    channel: currentChannel,
+    channelSpeed: channelSpeed,
+    speedSource: speedSource,
+    tabSpeedMode: getTabSpeedMode()
+  };
+}
+
+// Describe this tab for the popup's tab list
+function getTabState() {
+  const video = boundVideo || getVideo();
+  return {
+    title: document.title.replace(/ - YouTube( Music)?$/, ''),
+    currentSpeed: currentSpeed,
+    speedSource: speedSource,
+    tabSpeedMode: getTabSpeedMode(),
+    hasVideo: !!video,
+    paused: video ? video.paused : true,
+    adPlaying: adPlaying
+  };
+}
+
+// Describe this tab for the popup's diagnostics view
+function getDiagnostics() {
+  return {
+    url: location.href,
+    surface: getSurface(),
+    currentSpeed: currentSpeed,
+    speedSource: speedSource,
+    tabSpeedMode: getTabSpeedMode(),
+    speedOwner: speedOwnership.getState(),
+    videoRate: boundVideo ? boundVideo.playbackRate : null,
+    controlsInjected: !controlsMissing(),
+    injection: injectionReport,
+    playerWatched: !!watchedRoot,
+    adPlaying: adPlaying,
+    debugMode: settings.debugMode,
+    entries: getLogEntries()
+  };
+}
+
+// Register a feature's { attach(video), detach(video) } hooks (either may be left out).
+// Features that follow every video element attach their listeners here; ones the user starts
+// on a video (speed ramps, A-B loops) add their listeners when started and only register a
+// detach hook that stops them. Either way a swapped element or a navigation never leaves
+// listeners behind.
+function addVideoHooks(hooks) {
+  videoHooks.push(hooks);
+  if (boundVideo && hooks.attach) {
+    hooks.attach(boundVideo);
+  }
+}
+
+// Register a feature's timer: tick runs every interval ms while the bound video is playing
+// and isEnabled() holds, so pages without a playing video (home, search, paused or background
+// tabs) run no timers. onStart and onStop (optional) run when the timer starts and stops.
+function addPlaybackTimer(timer) {
+  timer.id = null;
+  playbackTimers.push(timer);
+  syncPlaybackTimers();
+}
+
+// Start or stop each playback timer to match the bound video and settings
+function syncPlaybackTimers() {
+  const playing = !!boundVideo && !boundVideo.paused && !boundVideo.ended;
+  playbackTimers.forEach(timer => {
+    const run = playing && timer.isEnabled();
+    if (run && timer.id === null) {
+      if (timer.onStart) timer.onStart();
+      timer.id = setInterval(timer.tick, timer.interval);
+    } else if (!run && timer.id !== null) {
+      stopPlaybackTimer(timer);
+    }
+  });
+}
+
+function stopPlaybackTimer(timer) {
+  if (timer.id === null) return;
+  clearInterval(timer.id);
+  timer.id = null;
+  if (timer.onStop) timer.onStop();
+}
+
+function attachPlaybackTimers(video) {
+  video.addEventListener('playing', syncPlaybackTimers);
+  video.addEventListener('pause', syncPlaybackTimers);
+  video.addEventListener('ended', syncPlaybackTimers);
+  syncPlaybackTimers();
+}
+
+function detachPlaybackTimers(video) {
+  video.removeEventListener('playing', syncPlaybackTimers);
+  video.removeEventListener('pause', syncPlaybackTimers);
+  video.removeEventListener('ended', syncPlaybackTimers);
+  playbackTimers.forEach(stopPlaybackTimer);
+}
+
+// Move every feature to a video element (null detaches them all)
+function bindVideo(video) {
+  if (video === boundVideo || videoHooksRunning) return;
+  const previous = boundVideo;
+  boundVideo = video;
+  videoHooksRunning = true;
+  
+  try {
+    // Detach in reverse order, so features registered later go first
+    if (previous) {
+      logDebug('video', 'Detaching from the previous video element');
+      videoHooks.slice().reverse().forEach(hooks => {
+        if (hooks.detach) hooks.detach(previous);
+      });
+    }
+    if (video) {
+      logDebug('video', 'Attaching to video element');
+      videoHooks.forEach(hooks => {
+        if (hooks.attach) hooks.attach(video);
+      });
+    }
+  } finally {
+    videoHooksRunning = false;
+  }
+}
+
+// Bind to the page's current video element (YouTube swaps it on some navigations and player rebuilds)
+function syncBoundVideo() {
+  bindVideo(isVideoPage() ? getVideo() : null);
+}
+
+// Features that follow the bound video element
+function registerVideoHooks() {
+  // Speed ownership puts currentSpeed back when YouTube resets it (see ownership.js)
+  addVideoHooks({
+    attach: video => speedOwnership.attach(video),
+    detach: () => speedOwnership.detach()
+  });
+  addVideoHooks({ attach: attachChapterTracking, detach: detachChapterTracking });
+  addVideoHooks({ attach: attachStatsTracking, detach: detachStatsTracking });
+  // Smart speed samples the audio only while the video plays
+  addPlaybackTimer({
+    interval: 50,
+    tick: smartSpeedTick,
+    isEnabled: () => settings.smartSpeedEnabled,
+    onStart: () => { smartSpeedLastTick = Date.now(); },
+    onStop: () => {
+      smartSpeedSilenceStart = null;
+      endSmartSpeedBoost();
+    }
+  });
+  // Adaptive speed reads the captions only while the video plays; its samples are kept over a
+  // pause and dropped on navigation or when it's turned off
+  addPlaybackTimer({
+    interval: 250,
+    tick: adaptiveSpeedTick,
+    isEnabled: () => settings.adaptiveSpeedEnabled
+  });
+  addVideoHooks({ attach: attachPlaybackTimers, detach: detachPlaybackTimers });
+  // Ramps and loops belong to the element they were started on
+  addVideoHooks({ detach: stopSpeedRamp });
+  addVideoHooks({ detach: stopAbLoop });
+}
+
+// Whether the player is showing an ad (YouTube adds ad-showing to the player while one plays)
+function isAdShowing() {
+  const player = getPlayerContainer();
+  return !!player && player.classList.contains('ad-showing');
+}
+
+// Speed ads play at with the chosen ad behaviour
+function getAdSpeed() {
+  return settings.adMode === 'speed' ? settings.adSpeed : 1;
+}
+
+// Switch to the ad behaviour the user picked (a temporary speed, so currentSpeed is untouched)
+function handleAdStart() {
+  adPlaying = true;
+  logInfo('ad', 'Ad started, mode:', settings.adMode);
+  const video = getVideo();
+  if (!video) return;
+  
+  applySpeed(getAdSpeed(), true, true, 'ad');
+  if (settings.adMode === 'mute' && !video.muted) {
+    video.muted = true;
+    adMuted = true;
+  }
+}
+
+// Put the video's speed back the moment the ad ends
+function handleAdEnd() {
+  adPlaying = false;
+  logInfo('ad', 'Ad ended, restoring speed:', currentSpeed);
+  const video = getVideo();
+  
+  // Leave the sound alone if the user unmuted during the ad
+  if (adMuted && video && video.muted) {
+    video.muted = false;
+  }
+  adMuted = false;
+  speedOwnership.endAd();
+}
+
+// Check the player's ad state after its class changed
+function handleAdStateChange() {
+  const showing = isAdShowing();
+  if (showing && !adPlaying) {
+    handleAdStart();
+  } else if (!showing && adPlaying) {
+    handleAdEnd();
+  }
+}
+
+// Watch the current player for ads starting and ending
+function syncAdWatcher() {
+  const player = getPlayerContainer();
+  if (player === adPlayer) return;
+  
+  if (adObserver) {
+    adObserver.disconnect();
+  }
+  adPlayer = player;
+  if (adPlayer) {
+    adObserver = adObserver || new MutationObserver(handleAdStateChange);
+    adObserver.observe(adPlayer, { attributes: true, attributeFilter: ['class'] });
+  }
+  handleAdStateChange();
+}
+
+// Route the video's audio through an analyser (returns false until audio can run)
+function ensureSmartSpeedAudio(video) {
+  // Routing audio into a suspended context would silence the video, so wait
+  // until the browser lets the context run (after the user interacts)
+  if (startSmartSpeedContext() !== 'running') {
     return false;
   }
   
-  // If there's a temporary speed active (YouTube's hold feature)
-  // and the current video speed matches it, allow it
-  if (temporarySpeed !== null && Math.abs(videoSpeed - temporarySpeed) < 0.01) {
-    return true;
+  if (!smartSpeedSources.has(video)) {
+    try {
+      const source = smartSpeedContext.createMediaElementSource(video);
+      source.connect(smartSpeedAnalyser);
+      smartSpeedSources.set(video, source);
+    } catch (error) {
+      logWarn('smart', 'Could not route video audio for smart speed:', error);
+      return false;
+    }
+  }
+  return true;
+}
+
+// Create the audio context (or ask it to run again) and return its state. Called from the
+// smart speed toggle too, since the browser only lets a context start during a user gesture.
+function startSmartSpeedContext() {
+  if (!smartSpeedContext) {
+    smartSpeedContext = new AudioContext();
+    smartSpeedAnalyser = smartSpeedContext.createAnalyser();
+    smartSpeedAnalyser.fftSize = 2048;
+    smartSpeedAnalyser.connect(smartSpeedContext.destination);
+  }
+  if (smartSpeedContext.state !== 'running') {
+    smartSpeedContext.resume().catch(() => {});
+  }
+  return smartSpeedContext.state;
+}
+
+// Get the current audio level in dBFS
+function getAudioLevel() {
+  const samples = new Float32Array(smartSpeedAnalyser.fftSize);
+  smartSpeedAnalyser.getFloatTimeDomainData(samples);
+  
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+// Drop back to the user's speed after a silence boost
+function endSmartSpeedBoost() {
+  if (!smartSpeedBoosting) return;
+  smartSpeedBoosting = false;
+  releaseTemporarySpeed('smart');
+}
+
+// Sample the audio level and boost the speed through silence
+function smartSpeedTick() {
+  const now = Date.now();
+  const elapsed = (now - smartSpeedLastTick) / 1000;
+  smartSpeedLastTick = now;
+  
+  const video = getVideo();
+  if (!video || !isVideoPage() || isSliderActive || adPlaying) return;
+  
+  // Someone else (user, YouTube, ad reset) changed the speed during a boost
+  if (smartSpeedBoosting && Math.abs(video.playbackRate - settings.smartSpeedBoost) > 0.01) {
+    smartSpeedBoosting = false;
+    smartSpeedSilenceStart = null;
   }
   
-  // If the video speed just changed (within last 1 second), allow it
-  if (Date.now() - lastVideoSpeedChange < 1000) {
-    return true;
+  // A muted or paused video has no level to measure
+  if (video.paused || video.muted || video.volume === 0 || !ensureSmartSpeedAudio(video)) {
+    smartSpeedSilenceStart = null;
+    endSmartSpeedBoost();
+    return;
   }
   
-  return false;
+  if (smartSpeedBoosting) {
+    // Time the boosted stretch would have taken at the user's speed, minus the time it took
+    smartSpeedSecondsSaved += elapsed * (settings.smartSpeedBoost / currentSpeed - 1);
+    updateSmartSpeedControls();
+  }
+  
+  if (getAudioLevel() < settings.smartSpeedThreshold) {
+    if (smartSpeedSilenceStart === null) {
+      smartSpeedSilenceStart = now;
+    }
+    
+    // Don't boost over YouTube's own temporary speeds (e.g. hold for 2x)
+    const silentLongEnough = now - smartSpeedSilenceStart >= settings.smartSpeedMinSilence;
+    if (silentLongEnough && !smartSpeedBoosting && speedOwnership.getTemporarySpeed() === null &&
+        settings.smartSpeedBoost > currentSpeed) {
+      smartSpeedBoosting = true;
+      applySpeed(settings.smartSpeedBoost, true, true, 'smart');
+    }
+  } else {
+    smartSpeedSilenceStart = null;
+    endSmartSpeedBoost();
+  }
 }
 
-// Monitor video for speed resets (e.g., after ads)
-function monitorVideoSpeed() {
+// Start or stop smart speed to match the settings
+function syncSmartSpeed() {
+  // Its playback timer (see registerVideoHooks) starts or stops with the setting
+  syncPlaybackTimers();
+  updateSmartSpeedControls();
+}
+
+// Reset the seconds saved when a new video starts
+function resetSmartSpeedStats() {
+  endSmartSpeedBoost();
+  smartSpeedSecondsSaved = 0;
+  smartSpeedSilenceStart = null;
+  updateSmartSpeedControls();
+}
+
+// How far a ramp has got, from 0 to 1 (null while the video length is unknown)
+function getRampProgress(ramp) {
+  if (ramp.unit === 'percent') {
+    const duration = ramp.video.duration;
+    if (!duration || !isFinite(duration)) return null;
+    return ramp.elapsed / (duration * ramp.amount / 100);
+  }
+  return ramp.elapsed / (ramp.amount * 60);
+}
+
+// Step the ramp forward as the video plays
+function handleRampTimeUpdate() {
+  const ramp = activeRamp;
+  if (!ramp) return;
+  
+  // Only count time actually watched, so seeking doesn't jump the ramp
+  const time = ramp.video.currentTime;
+  const delta = time - ramp.lastTime;
+  ramp.lastTime = time;
+  
+  // Paused while the user drags the slider, and during ads
+  if (isSliderActive || adPlaying) return;
+  
+  // The user picked a speed of their own, so they're done ramping
+  if (Math.abs(currentSpeed - ramp.lastApplied) > 0.01) {
+    logInfo('ramp', 'Speed changed during ramp, stopping ramp');
+    stopSpeedRamp();
+    return;
+  }
+  
+  if (delta > 0 && delta < 2) {
+    ramp.elapsed += delta;
+  }
+  
+  const progress = getRampProgress(ramp);
+  if (progress === null) return;
+  if (progress >= 1) {
+    finishSpeedRamp();
+    return;
+  }
+  
+  // Leave temporary speeds (smart speed, hold for 2x) alone until they end
+  const speed = Math.round((ramp.from + (ramp.to - ramp.from) * progress) * 20) / 20;
+  if (speedOwnership.getTemporarySpeed() === null && Math.abs(speed - ramp.lastApplied) > 0.01) {
+    // Ramp steps aren't saved and shouldn't become the "last speed" either
+    const speedBeforeRamp = lastSpeed;
+    applySpeed(speed, true, false, 'ramp');
+    lastSpeed = speedBeforeRamp;
+    ramp.lastApplied = speed;
+    updateSlider(speed);
+    updateActivePreset(speed);
+  }
+  updateRampControls(progress);
+}
+
+// Start ramping from one speed to another over minutes or a percentage of the video
+function startSpeedRamp(from, to, amount, unit) {
   const video = getVideo();
   if (!video) return;
+  
+  // Bound first, so the ramp stops when this element goes away
+  bindVideo(video);
+  stopSpeedRamp();
+  activeRamp = {
+    from: from,
+    to: to,
+    amount: amount,
+    unit: unit,
+    elapsed: 0,
+    lastTime: video.currentTime,
+    lastApplied: from,
+    video: video,
+    videoId: getVideoId()
+  };
+  video.addEventListener('timeupdate', handleRampTimeUpdate);
+  logInfo('ramp', 'Ramp started:', from, '->', to, 'over', amount, unit);
+  
+  applySpeed(from, true, false, 'ramp');
+  updateSlider(from);
+  updateActivePreset(from);
+  updateRampControls(0);
+}
+
+// Stop the ramp without changing the speed
+function stopSpeedRamp() {
+  if (!activeRamp) return;
+  activeRamp.video.removeEventListener('timeupdate', handleRampTimeUpdate);
+  activeRamp = null;
+  updateRampControls();
+}
 
-  // Reapply speed when video element changes
-  video.addEventListener('loadedmetadata', () => {
-    setTimeout(() => applySpeed(currentSpeed), 100);
+// Land on the target speed and save it (the only write a ramp makes)
+function finishSpeedRamp() {
+  const target = activeRamp.to;
+  stopSpeedRamp();
+  logInfo('ramp', 'Ramp finished at', target);
+  applySpeed(target, false, false, 'ramp');
+  updateSlider(target);
+  updateActivePreset(target);
+}
+
+// Cancel the ramp, keeping (and saving) the speed it had reached
+function cancelSpeedRamp(saveReachedSpeed = true) {
+  if (!activeRamp) return;
+  const reached = activeRamp.lastApplied;
+  stopSpeedRamp();
+  logInfo('ramp', 'Ramp cancelled at', reached);
+  if (saveReachedSpeed) {
+    applySpeed(reached, false, false, 'ramp');
+  }
+}
+
+// Read the ramp inputs, remember them and start the ramp
+function startSpeedRampFromPanel() {
+  if (!speedPanel) return;
+  const statusEl = speedPanel.querySelector('.speed-ramp-status');
+  const from = parseFloat(speedPanel.querySelector('.speed-ramp-from').value);
+  const to = parseFloat(speedPanel.querySelector('.speed-ramp-to').value);
+  const amount = parseFloat(speedPanel.querySelector('.speed-ramp-amount').value);
+  const unit = speedPanel.querySelector('.speed-ramp-unit').value;
+  
+  let problem = null;
+  if (!isValidSpeed(from, settings) || !isValidSpeed(to, settings)) {
+    problem = `Speeds must be between ${settings.minSpeed}x and ${settings.maxSpeed}x`;
+  } else if (Math.abs(from - to) < 0.01) {
+    problem = 'Start and target speed are the same';
+  } else if (isNaN(amount) || amount < 1 || (unit === 'percent' && amount > 100) ||
+             amount > SETTINGS_SCHEMA.rampAmount.max) {
+    problem = unit === 'percent' ? 'Length must be 1-100%' : `Length must be 1-${SETTINGS_SCHEMA.rampAmount.max} minutes`;
+  }
+  if (problem) {
+    statusEl.textContent = problem;
+    return;
+  }
+  
+  settings.rampFrom = from;
+  settings.rampTo = to;
+  settings.rampAmount = amount;
+  settings.rampUnit = unit;
+  saveSettings({ rampFrom: from, rampTo: to, rampAmount: amount, rampUnit: unit }).catch(error => {
+    logError('storage', 'Error saving ramp settings:', error);
   });
+  startSpeedRamp(from, to, amount, unit);
+}
 
-  video.addEventListener('play', () => {
-    const videoSpeed = video.playbackRate;
-    
-    // Allow speed changes if this matches temporary speed or recently changed
-    if (shouldAllowSpeedChange(videoSpeed)) return;
-    
-    // Check if speed was reset on play
-    if (Math.abs(videoSpeed - currentSpeed) > 0.01) {
-      applySpeed(currentSpeed);
-    }
+// Turn a loop time ("1:02:03.5", "4:05", "75") into seconds (NaN if it isn't one)
+function parseLoopTime(text) {
+  const match = /^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/.exec((text || '').trim());
+  if (!match) return NaN;
+  const seconds = parseFloat(match[3]);
+  if (match[2] !== undefined && seconds >= 60) return NaN;
+  return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2] || '0', 10) * 60) + seconds;
+}
+
+// Format seconds as a loop time (e.g. 1:05.3, 1:02:03.5)
+function formatLoopTime(seconds) {
+  const tenths = Math.round(seconds * 10);
+  const hours = Math.floor(tenths / 36000);
+  const minutes = Math.floor((tenths % 36000) / 600);
+  const secs = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Load the A-B loops saved per video from storage
+async function loadAbLoops() {
+  return loadSetting('abLoops');
+}
+
+// Save a loop for a video (pass null to forget it), evicting the least recently used entries
+async function setAbLoop(videoId, loop) {
+  if (!videoId) return;
+  
+  const abLoops = await loadAbLoops();
+  if (loop === null) {
+    delete abLoops[videoId];
+  } else {
+    abLoops[videoId] = Object.assign({}, loop, { lastUsed: Date.now() });
+  }
+  
+  const videoIds = Object.keys(abLoops);
+  if (videoIds.length > MAX_AB_LOOPS) {
+    videoIds
+      .sort((a, b) => abLoops[a].lastUsed - abLoops[b].lastUsed)
+      .slice(0, videoIds.length - MAX_AB_LOOPS)
+      .forEach(id => delete abLoops[id]);
+  }
+  
+  try {
+    await saveSettings({ abLoops: abLoops });
+  } catch (error) {
+    logError('storage', 'Error saving A-B loop:', error);
+  }
+}
+
+// Look up the saved loop of the current video and show it in the panel
+async function loadSavedLoop() {
+  const videoId = getVideoId();
+  savedLoopVideoId = videoId;
+  const abLoops = await loadAbLoops();
+  if (getVideoId() !== videoId) return; // Navigated away meanwhile
+  
+  const loop = videoId ? abLoops[videoId] : null;
+  savedLoop = loop && typeof loop.start === 'number' && typeof loop.end === 'number' &&
+    isValidSpeed(loop.speed, settings) ? loop : null;
+  fillLoopInputs();
+  updateLoopControls();
+}
+
+// Play the loop's speed (a temporary speed, so currentSpeed is untouched)
+function applyLoopSpeed() {
+  applySpeed(activeLoop.loopSpeed, true, true, 'loop');
+  updateSlider(activeLoop.loopSpeed);
+  updateActivePreset(activeLoop.loopSpeed);
+}
+
+// Jump back to A when playback reaches B, stepping the speed up if a progression is set
+function handleLoopTimeUpdate() {
+  const loop = activeLoop;
+  if (!loop) return;
+  
+  // Ads play in the same video element; leave them alone
+  if (isAdShowing() || loop.video.currentTime < loop.end) return;
+  
+  loop.reps++;
+  if (loop.step > 0 && loop.reps % loop.every === 0) {
+    const limit = loop.until !== null ? Math.min(loop.until, settings.maxSpeed) : settings.maxSpeed;
+    loop.loopSpeed = Math.min(Math.round((loop.loopSpeed + loop.step) * 100) / 100, limit);
+  }
+  
+  loop.seeking = true;
+  loop.video.currentTime = loop.start;
+  // Also puts the loop's speed back if it was overridden during the last repetition
+  applyLoopSpeed();
+  updateLoopControls();
+}
+
+// Seeking outside the loop (rather than our own jump back to A) leaves it
+function handleLoopSeeking() {
+  const loop = activeLoop;
+  if (!loop) return;
+  if (loop.seeking) {
+    loop.seeking = false;
+    return;
+  }
+  
+  if (isAdShowing()) return;
+  const time = loop.video.currentTime;
+  if (time < loop.start - 0.5 || time > loop.end + 0.5) {
+    logInfo('loop', 'Seeked out of the A-B loop, leaving it');
+    stopAbLoop();
+  }
+}
+
+// Start repeating A-B at the loop's speed
+function startAbLoop(loop) {
+  const video = getVideo();
+  if (!video) return;
+  
+  // Bound first, so the loop stops when this element goes away
+  bindVideo(video);
+  stopAbLoop();
+  activeLoop = Object.assign({}, loop, {
+    reps: 0,
+    loopSpeed: loop.speed,
+    seeking: false,
+    video: video,
+    videoId: getVideoId()
   });
+  video.addEventListener('timeupdate', handleLoopTimeUpdate);
+  video.addEventListener('seeking', handleLoopSeeking);
+  logInfo('loop', 'A-B loop started:', loop.start, '->', loop.end, 'at', loop.speed);
+  
+  if (video.currentTime < loop.start || video.currentTime >= loop.end) {
+    activeLoop.seeking = true;
+    video.currentTime = loop.start;
+  }
+  applyLoopSpeed();
+  updateLoopControls();
+}
 
-  // Listen for rate changes directly - this detects when YouTube changes the speed
-  video.addEventListener('ratechange', () => {
-    // Don't track changes from our own slider
-    if (isSliderActive) return;
-    
-    const videoSpeed = video.playbackRate;
-    
-    // Check if this is a change we made
-    if (Date.now() - lastManualSpeedChange < 300) {
-      // We just changed it, update tracking and clear temporary speed
-      previousVideoSpeed = videoSpeed;
-      temporarySpeed = null;
-      return;
+// Leave the loop and go back to the user's speed
+function stopAbLoop() {
+  if (!activeLoop) return;
+  const loop = activeLoop;
+  activeLoop = null;
+  loop.video.removeEventListener('timeupdate', handleLoopTimeUpdate);
+  loop.video.removeEventListener('seeking', handleLoopSeeking);
+  logInfo('loop', 'A-B loop stopped after', loop.reps, 'repetitions');
+  
+  // The user may have picked a speed of their own meanwhile, which already is currentSpeed
+  releaseTemporarySpeed('loop');
+  updateSlider(currentSpeed);
+  updateActivePreset(currentSpeed);
+  updateLoopControls();
+}
+
+// Read the loop inputs, save the loop for this video and start it
+function startAbLoopFromPanel() {
+  if (!speedPanel) return;
+  const statusEl = speedPanel.querySelector('.speed-loop-status');
+  const start = parseLoopTime(speedPanel.querySelector('.speed-loop-start').value);
+  const end = parseLoopTime(speedPanel.querySelector('.speed-loop-end').value);
+  const speed = parseFloat(speedPanel.querySelector('.speed-loop-speed').value);
+  const stepText = speedPanel.querySelector('.speed-loop-step').value.trim();
+  const step = stepText ? parseFloat(stepText) : 0;
+  const every = parseInt(speedPanel.querySelector('.speed-loop-every').value, 10);
+  const untilText = speedPanel.querySelector('.speed-loop-until').value.trim();
+  const until = untilText ? parseFloat(untilText) : null;
+  const video = getVideo();
+  const duration = video && isFinite(video.duration) ? video.duration : null;
+  
+  let problem = null;
+  if (isNaN(start) || isNaN(end)) {
+    problem = 'Set A and B, e.g. 1:05 or 65.5';
+  } else if (end - start < 0.5) {
+    problem = 'B must be at least half a second after A';
+  } else if (duration !== null && start >= duration) {
+    problem = 'A is past the end of the video';
+  } else if (!isValidSpeed(speed, settings)) {
+    problem = `Loop speed must be between ${settings.minSpeed}x and ${settings.maxSpeed}x`;
+  } else if (isNaN(step) || step < 0 || step > settings.maxSpeed) {
+    problem = 'Speed increase must be 0 or more';
+  } else if (step > 0 && (isNaN(every) || every < 1)) {
+    problem = 'Repetitions must be 1 or more';
+  } else if (until !== null && (!isValidSpeed(until, settings) || until < speed)) {
+    problem = 'Highest speed must be at least the loop speed';
+  }
+  if (problem) {
+    statusEl.textContent = problem;
+    return;
+  }
+  
+  const loop = {
+    start: start,
+    end: duration !== null ? Math.min(end, duration) : end,
+    speed: speed,
+    step: step,
+    every: step > 0 ? every : 1,
+    until: until
+  };
+  savedLoop = loop;
+  savedLoopVideoId = getVideoId();
+  setAbLoop(savedLoopVideoId, loop);
+  startAbLoop(loop);
+}
+
+// Read the chapter list of the current video from the description's chapter
+// panel, falling back to timestamps typed into the description itself
+function findChapters() {
+  // Like the channel metadata, the description lags behind SPA navigation
+  const videoId = getVideoId();
+  const watchPage = document.querySelector('ytd-watch-flexy');
+  if (!isWatchPage() || (watchPage && videoId && watchPage.getAttribute('video-id') !== videoId)) {
+    return [];
+  }
+
+  const chapters = [];
+  const seenStarts = new Set();
+  const addChapter = (start, title) => {
+    if (isNaN(start) || !title || seenStarts.has(start)) return;
+    seenStarts.add(start);
+    chapters.push({ start: start, title: title });
+  };
+
+  document.querySelectorAll(
+    'ytd-engagement-panel-section-list-renderer[target-id*="macro-markers"] ytd-macro-markers-list-item-renderer'
+  ).forEach(item => {
+    const titleEl = item.querySelector('#details h4, h4');
+    const timeEl = item.querySelector('#details #time, #time');
+    if (titleEl && timeEl) {
+      addChapter(parseChapterTime(timeEl.textContent), titleEl.textContent.trim());
     }
-    
-    // Check if speed actually changed
-    if (Math.abs(videoSpeed - previousVideoSpeed) > 0.01) {
-      // Speed changed and it wasn't us - mark the time
-      lastVideoSpeedChange = Date.now();
-      
-      const matchesSavedSpeed = Math.abs(videoSpeed - currentSpeed) < 0.01;
-      const wasTemporary = temporarySpeed !== null;
-      
-      if (!matchesSavedSpeed) {
-        // Speed changed to something other than our saved speed
-        
-        if (wasTemporary && Math.abs(videoSpeed - temporarySpeed) > 0.01) {
-          // We were in temporary mode and speed changed to yet another value
-          // This likely means YouTube ended temporary mode and reset to 1x
-          // Clear temporary and schedule a restoration
-          temporarySpeed = null;
-          setTimeout(() => {
-            const vid = getVideo();
-            if (vid && Math.abs(vid.playbackRate - currentSpeed) > 0.01) {
-              applySpeed(currentSpeed);
-            }
-          }, 100);
-        } else {
-          // Entering temporary speed mode (e.g., hold to 2x)
-          temporarySpeed = videoSpeed;
-        }
-      } else {
-        // Speed returned to our saved speed - clear temporary speed
-        temporarySpeed = null;
+  });
+
+  if (chapters.length === 0) {
+    const description = document.querySelector('ytd-watch-metadata #description-inline-expander, #description');
+    const lines = description ? description.innerText.split('\n') : [];
+    lines.forEach(line => {
+      const match = /^\s*((?:\d+:)?\d{1,2}:\d{2})\s*[-\u2013\u2014:]?\s*(.+)$/.exec(line);
+      if (match) {
+        addChapter(parseChapterTime(match[1]), match[2].trim());
       }
-      
-      previousVideoSpeed = videoSpeed;
+    });
+    // YouTube only treats description timestamps as chapters when they start at 0:00
+    if (chapters.length < 2 || !seenStarts.has(0)) return [];
+  }
+
+  return chapters.sort((a, b) => a.start - b.start);
+}
+
+// Find the chapter playing at a given time
+function getChapterAt(time) {
+  if (chapterList.length > 0) {
+    let found = null;
+    chapterList.forEach(chapter => {
+      if (chapter.start <= time) found = chapter;
+    });
+    return found;
+  }
+
+  // No list found, so go by the chapter title the player shows
+  const player = getPlayerContainer();
+  const titleEl = player ? player.querySelector('.ytp-chapter-title-content') : null;
+  const title = titleEl ? titleEl.textContent.trim() : '';
+  return title ? { start: null, title: title } : null;
+}
+
+// Go back to the user's speed when a chapter rule stops applying
+function endChapterRule() {
+  if (!activeChapterRule) return;
+  activeChapterRule = null;
+
+  // Only restore if the rule's speed is still playing (nobody overrode it)
+  releaseTemporarySpeed('chapter');
+}
+
+// Apply the rule (if any) for a chapter that just started
+function enterChapter(chapter) {
+  activeChapter = chapter;
+  const rule = chapter ? findChapterRule(chapterRules, chapter.title) : null;
+  endChapterRule();
+
+  if (rule) {
+    logInfo('chapter', 'Chapter rule', rule.pattern, 'matched', chapter.title);
+    activeChapterRule = rule;
+    if (Math.abs(rule.speed - currentSpeed) > 0.01) {
+      applySpeed(rule.speed, true, true, 'chapter');
+    }
+  }
+  updateChapterControls();
+}
+
+// Watch for chapter boundaries as the video plays
+function handleChapterTimeUpdate() {
+  // A-B loops set their own speed, and ads have no chapters
+  if (!settings.chapterRulesEnabled || !isVideoPage() || activeLoop || adPlaying) return;
+  const video = getVideo();
+  if (!video) return;
+
+  // Chapters render after the video starts, so keep looking for a while
+  const videoId = getVideoId();
+  const now = Date.now();
+  if (chapterVideoId !== videoId || (chapterList.length === 0 && now - chapterLastLookup > 5000)) {
+    chapterVideoId = videoId;
+    chapterLastLookup = now;
+    chapterList = findChapters();
+    if (chapterList.length > 0) {
+      logInfo('chapter', 'Found', chapterList.length, 'chapters');
+    }
+  }
+
+  const chapter = getChapterAt(video.currentTime);
+  const changed = !chapter || !activeChapter ||
+    chapter.start !== activeChapter.start || chapter.title !== activeChapter.title;
+  if (changed && (chapter || activeChapter)) {
+    enterChapter(chapter);
+    return;
+  }
+
+  // The user (or YouTube) picked another speed during this chapter; leave it be until the next one
+  if (activeChapterRule && Math.abs(activeChapterRule.speed - currentSpeed) > 0.01 &&
+      speedOwnership.getRuleSource() !== 'chapter') {
+    activeChapterRule = null;
+    updateChapterControls();
+  }
+}
+
+// Follow chapters on a newly bound video
+function attachChapterTracking(video) {
+  video.addEventListener('timeupdate', handleChapterTimeUpdate);
+}
+
+function detachChapterTracking(video) {
+  video.removeEventListener('timeupdate', handleChapterTimeUpdate);
+}
+
+// Match chapter tracking to the settings
+function syncChapterRules() {
+  if (!settings.chapterRulesEnabled) {
+    endChapterRule();
+    activeChapter = null;
+  } else if (activeChapter) {
+    // Rules may have changed, so re-match the current chapter
+    enterChapter(activeChapter);
+  }
+  updateChapterControls();
+}
+
+// Forget the previous video's chapters after navigation
+function resetChapters() {
+  endChapterRule();
+  chapterList = [];
+  chapterVideoId = null;
+  activeChapter = null;
+  updateChapterControls();
+}
+
+// Count media time against wall-clock time since the previous timeupdate
+function handleStatsTimeUpdate() {
+  const video = statsVideo;
+  const now = Date.now();
+  const mediaDelta = video.currentTime - statsLastMediaTime;
+  const wallDelta = (now - statsLastWallTime) / 1000;
+  const rate = statsRate;
+  statsLastMediaTime = video.currentTime;
+  statsLastWallTime = now;
+  statsRate = video.playbackRate;
+  
+  // Skip seeks, pauses, stalls and ads (timeupdate fires a few times a second while playing)
+  if (video.paused || mediaDelta <= 0 || wallDelta <= 0 || wallDelta > 2) return;
+  if (mediaDelta > wallDelta * BROWSER_MAX_SPEED + 0.5) return;
+  if (isAdShowing()) return;
+  
+  const videoId = getVideoId();
+  if (statsPending && statsPending.videoId !== videoId) {
+    flushWatchStats();
+  }
+  if (!statsPending) {
+    statsPending = { videoId: videoId, channel: null, media: 0, wall: 0, speeds: {} };
+  }
+  
+  // The channel is detected a little after the video starts
+  if (currentChannel) {
+    statsPending.channel = currentChannel;
+  }
+  statsPending.media += mediaDelta;
+  statsPending.wall += wallDelta;
+  const bucket = getSpeedBucket(rate);
+  statsPending.speeds[bucket] = (statsPending.speeds[bucket] || 0) + mediaDelta;
+  
+  // Store every 30 seconds instead of on every timeupdate
+  if (!statsFlushTimeout) {
+    statsFlushTimeout = setTimeout(flushWatchStats, 30000);
+  }
+}
+
+// Close the stretch at the old rate before the new one starts counting
+function handleStatsRateChange() {
+  handleStatsTimeUpdate();
+}
+
+// Store the watch time counted so far
+function flushWatchStats() {
+  if (statsFlushTimeout) {
+    clearTimeout(statsFlushTimeout);
+    statsFlushTimeout = null;
+  }
+  if (!statsPending || statsPending.media <= 0) return;
+  
+  const entry = Object.assign({ date: Date.now() }, statsPending);
+  statsPending = null;
+  // The background worker stores it (see stats.js)
+  try {
+    chrome.runtime.sendMessage({ action: 'recordWatchTime', entry: entry }).catch(error => {
+      logError('storage', 'Error saving watch stats:', error);
+    });
+  } catch (error) {
+    // The extension was reloaded and this page still runs the old content script
+    logDebug('storage', 'Could not send watch stats:', error);
+  }
+}
+
+// Count watch time on a newly bound video
+function attachStatsTracking(video) {
+  statsVideo = video;
+  statsLastMediaTime = video.currentTime;
+  statsLastWallTime = Date.now();
+  statsRate = video.playbackRate;
+  video.addEventListener('timeupdate', handleStatsTimeUpdate);
+  video.addEventListener('ratechange', handleStatsRateChange);
+}
+
+// Store what was counted on a video that's going away
+function detachStatsTracking(video) {
+  video.removeEventListener('timeupdate', handleStatsTimeUpdate);
+  video.removeEventListener('ratechange', handleStatsRateChange);
+  statsVideo = null;
+  flushWatchStats();
+}
+
+// Count the words in a piece of caption text
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Count words that are new since the previous caption text. Captions roll up,
+// repeating the end of the previous text, so only count what follows the overlap.
+function countNewCaptionWords(previous, current) {
+  const previousWords = previous.split(/\s+/).filter(Boolean);
+  const words = current.split(/\s+/).filter(Boolean);
+  for (let overlap = Math.min(previousWords.length, words.length); overlap > 0; overlap--) {
+    if (previousWords.slice(-overlap).join(' ') === words.slice(0, overlap).join(' ')) {
+      return words.length - overlap;
+    }
+  }
+  return words.length;
+}
+
+// Get the caption text YouTube is currently rendering over the video
+function getRenderedCaptionText() {
+  const player = getPlayerContainer();
+  if (!player) return null;
+  const segments = player.querySelectorAll('.ytp-caption-window-container .ytp-caption-segment');
+  if (segments.length === 0) return null;
+  return Array.from(segments).map(segment => segment.textContent).join(' ').trim();
+}
+
+// Measure words per second from a text track with cues (e.g. native <track> captions)
+function getTextTrackWordRate(video) {
+  const track = Array.from(video.textTracks || []).find(candidate =>
+    (candidate.kind === 'captions' || candidate.kind === 'subtitles') &&
+    candidate.mode !== 'disabled' && candidate.cues && candidate.cues.length > 0
+  );
+  if (!track) return null;
+  
+  const windowStart = Math.max(video.currentTime - ADAPTIVE_WINDOW_SECONDS, 0);
+  const span = video.currentTime - windowStart;
+  if (span < ADAPTIVE_MIN_SAMPLE_SECONDS) return null;
+  
+  let words = 0;
+  Array.from(track.cues).forEach(cue => {
+    if (cue.endTime > windowStart && cue.startTime <= video.currentTime) {
+      words += countWords(cue.text || '');
     }
   });
+  return words / span;
+}
 
-  // Periodic check for speed resets (backup for when ratechange doesn't fire)
-  setInterval(() => {
-    // Don't interfere while user is actively using the slider
-    if (isSliderActive) return;
-    
-    const video = getVideo();
-    if (!video) return;
-    
-    const videoSpeed = video.playbackRate;
-    
-    // Don't interfere if this matches temporary speed or recently changed
-    if (shouldAllowSpeedChange(videoSpeed)) return;
-    
-    // Normal check for speed resets (e.g., after ads)
-    if (Math.abs(videoSpeed - currentSpeed) > 0.01) {
-      // Speed is wrong and not protected - reset it
-      video.playbackRate = currentSpeed;
-      previousVideoSpeed = currentSpeed;
-      temporarySpeed = null;
-      lastManualSpeedChange = Date.now();
+// Record new words from YouTube's rendered captions and measure words per second
+function getRenderedCaptionWordRate(video) {
+  const time = video.currentTime;
+  const text = getRenderedCaptionText();
+  
+  // Start over after a seek, since the samples no longer describe what's playing
+  if (adaptiveSampleStart === null || time < adaptiveLastTime || time - adaptiveLastTime > 2) {
+    adaptiveSamples = [];
+    adaptiveSampleStart = time;
+    adaptiveLastCaption = '';
+  }
+  adaptiveLastTime = time;
+  
+  if (text === null) return null;
+  if (text !== adaptiveLastCaption) {
+    const words = countNewCaptionWords(adaptiveLastCaption, text);
+    if (words > 0) {
+      adaptiveSamples.push({ time: time, words: words });
     }
-  }, 1000); // Check every second as a backup
+    adaptiveLastCaption = text;
+  }
+  
+  const windowStart = time - ADAPTIVE_WINDOW_SECONDS;
+  adaptiveSamples = adaptiveSamples.filter(sample => sample.time >= windowStart);
+  const span = time - Math.max(windowStart, adaptiveSampleStart);
+  if (span < ADAPTIVE_MIN_SAMPLE_SECONDS) return null;
+  
+  return adaptiveSamples.reduce((sum, sample) => sum + sample.words, 0) / span;
+}
+
+// Drop back to the user's speed when adaptive speed stops adapting
+function endAdaptiveSpeed() {
+  if (adaptiveSpeed === null) return;
+  adaptiveSpeed = null;
+  releaseTemporarySpeed('adaptive');
+}
+
+// Read the captions and keep the effective words per minute near the target
+function adaptiveSpeedTick() {
+  const video = getVideo();
+  // A-B loops set their own speed
+  if (!video || !isVideoPage() || isSliderActive || video.paused || activeLoop || adPlaying) return;
+  
+  const wordRate = getTextTrackWordRate(video);
+  adaptiveWordsPerSecond = wordRate !== null ? wordRate : getRenderedCaptionWordRate(video);
+  
+  // No captions (or too few words to judge): play at the user's speed
+  if (!adaptiveWordsPerSecond) {
+    endAdaptiveSpeed();
+    updateAdaptiveControls();
+    return;
+  }
+  
+  // Our speed was replaced (e.g. the user picked one), so adapt from the user's speed again
+  const ownsSpeed = speedOwnership.getRuleSource() === 'adaptive';
+  if (adaptiveSpeed !== null && !ownsSpeed) {
+    adaptiveSpeed = null;
+  }
+  
+  // Leave other temporary speeds (chapter rules, smart speed, hold for 2x) alone
+  if (speedOwnership.getTemporarySpeed() !== null && !ownsSpeed) {
+    updateAdaptiveControls();
+    return;
+  }
+  
+  const minSpeed = Math.max(settings.adaptiveMinSpeed, settings.minSpeed);
+  const maxSpeed = Math.min(settings.adaptiveMaxSpeed, settings.maxSpeed);
+  const idealSpeed = settings.adaptiveTargetWpm / (adaptiveWordsPerSecond * 60);
+  const speed = Math.round(Math.min(Math.max(idealSpeed, minSpeed), maxSpeed) * 20) / 20;
+  
+  // Small steps aren't worth the audible change
+  const appliedSpeed = adaptiveSpeed !== null ? adaptiveSpeed : currentSpeed;
+  if (Math.abs(speed - appliedSpeed) >= 0.1) {
+    adaptiveSpeed = speed;
+    applySpeed(speed, true, true, 'adaptive');
+  }
+  updateAdaptiveControls();
+}
+
+// Start or stop adaptive speed to match the settings
+function syncAdaptiveSpeed() {
+  // Its playback timer (see registerVideoHooks) starts or stops with the setting
+  syncPlaybackTimers();
+  if (!settings.adaptiveSpeedEnabled) {
+    resetAdaptiveSpeed();
+  }
+  updateAdaptiveControls();
+}
+
+// Forget the caption samples (after navigation, or when turned off)
+function resetAdaptiveSpeed() {
+  endAdaptiveSpeed();
+  adaptiveSamples = [];
+  adaptiveSampleStart = null;
+  adaptiveLastCaption = '';
+  adaptiveWordsPerSecond = null;
+  updateAdaptiveControls();
 }
 
 // Create speed control button
@@ -268,35 +1687,7 @@ function createSpeedPanel() {
       <button class="speed-panel-close" aria-label="Close">&times;</button>
     </div>
     
-    <div class="speed-section">
-      <div class="speed-section-label">Slow</div>
-      <div class="speed-presets speed-group-slow">
-        <button class="speed-preset-btn" data-speed="0.25">0.25x</button>
-        <button class="speed-preset-btn" data-speed="0.5">0.5x</button>
-        <button class="speed-preset-btn" data-speed="0.75">0.75x</button>
-      </div>
-    </div>
-    
-    <div class="speed-section">
-      <div class="speed-section-label">Normal</div>
-      <div class="speed-presets speed-group-normal">
-        <button class="speed-preset-btn" data-speed="1">1x</button>
-        <button class="speed-preset-btn" data-speed="1.25">1.25x</button>
-        <button class="speed-preset-btn" data-speed="1.5">1.5x</button>
-        <button class="speed-preset-btn" data-speed="1.75">1.75x</button>
-        <button class="speed-preset-btn" data-speed="2">2x</button>
-      </div>
-    </div>
-    
-    <div class="speed-section">
-      <div class="speed-section-label">Fast</div>
-      <div class="speed-presets speed-group-fast">
-        <button class="speed-preset-btn" data-speed="3">3x</button>
-        <button class="speed-preset-btn" data-speed="4">4x</button>
-        <button class="speed-preset-btn" data-speed="5">5x</button>
-        <button class="speed-preset-btn" data-speed="10">10x</button>
-      </div>
-    </div>
+    <div class="speed-preset-groups"></div>
     
     <div class="speed-slider-container">
       <div class="speed-current-display">
@@ -307,19 +1698,95 @@ function createSpeedPanel() {
         <input 
           type="range" 
           class="speed-slider" 
-          min="${MIN_SPEED}" 
-          max="${MAX_SPEED}" 
-          step="${SPEED_STEP}" 
+          min="${settings.sliderMin}" 
+          max="${settings.sliderMax}" 
+          step="${settings.speedStep}" 
           value="${currentSpeed}"
         />
         <div class="speed-slider-tooltip">${currentSpeed.toFixed(1)}x</div>
       </div>
       <div class="speed-slider-labels">
-        <span>${MIN_SPEED}x</span>
-        <span>${MAX_SPEED}x</span>
+        <span class="speed-slider-min">${settings.sliderMin}x</span>
+        <span class="speed-slider-max">${settings.sliderMax}x</span>
       </div>
     </div>
-    
+
+    <div class="speed-option-section">
+      <div class="speed-section-label">Channel</div>
+      <div class="speed-option-row">
+        <span class="speed-option-label speed-channel-name">Unknown channel</span>
+        <button class="speed-option-btn speed-channel-btn" disabled>Remember for this channel</button>
+      </div>
+    </div>
+
+    <div class="speed-option-section">
+      <div class="speed-section-label">Smart Speed</div>
+      <div class="speed-option-row">
+        <span class="speed-option-label speed-smart-status">Skip silence</span>
+        <button class="speed-option-btn speed-smart-btn">Off</button>
+      </div>
+    </div>
+
+    <div class="speed-option-section">
+      <div class="speed-section-label">Adaptive Speed</div>
+      <div class="speed-option-row">
+        <span class="speed-option-label speed-adaptive-status">Pace by caption density</span>
+        <button class="speed-option-btn speed-adaptive-btn">Off</button>
+      </div>
+    </div>
+
+    <div class="speed-option-section">
+      <div class="speed-section-label">Chapter Rules</div>
+      <div class="speed-option-row">
+        <span class="speed-option-label speed-chapter-status">Speed by chapter title</span>
+        <button class="speed-option-btn speed-chapter-btn">Off</button>
+      </div>
+    </div>
+
+    <div class="speed-option-section">
+      <div class="speed-section-label">Speed Ramp</div>
+      <div class="speed-option-row speed-ramp-config">
+        <input type="number" class="speed-option-input speed-ramp-from" step="0.05" aria-label="Ramp start speed">
+        <span>\u2192</span>
+        <input type="number" class="speed-option-input speed-ramp-to" step="0.05" aria-label="Ramp target speed">
+        <span>over</span>
+        <input type="number" class="speed-option-input speed-ramp-amount" min="1" step="1" aria-label="Ramp length">
+        <select class="speed-option-input speed-ramp-unit" aria-label="Ramp length unit">
+          <option value="minutes">min</option>
+          <option value="percent">% of video</option>
+        </select>
+      </div>
+      <div class="speed-option-row">
+        <span class="speed-option-label speed-ramp-status">Ease into a faster speed</span>
+        <button class="speed-option-btn speed-ramp-btn">Start</button>
+      </div>
+    </div>
+
+    <div class="speed-option-section">
+      <div class="speed-section-label">A-B Loop</div>
+      <div class="speed-option-row speed-loop-config">
+        <button class="speed-option-btn speed-loop-set-a" title="Set A to the current time">A</button>
+        <input type="text" class="speed-option-input speed-loop-start" placeholder="0:00" aria-label="Loop start (A)">
+        <button class="speed-option-btn speed-loop-set-b" title="Set B to the current time">B</button>
+        <input type="text" class="speed-option-input speed-loop-end" placeholder="0:00" aria-label="Loop end (B)">
+        <span>at</span>
+        <input type="number" class="speed-option-input speed-loop-speed" step="0.05" aria-label="Loop speed">
+      </div>
+      <div class="speed-option-row speed-loop-config">
+        <span>+</span>
+        <input type="number" class="speed-option-input speed-loop-step" min="0" step="0.05" placeholder="0" aria-label="Speed increase">
+        <span>every</span>
+        <input type="number" class="speed-option-input speed-loop-every" min="1" step="1" aria-label="Repetitions per increase">
+        <span>reps, up to</span>
+        <input type="number" class="speed-option-input speed-loop-until" step="0.05" placeholder="max" aria-label="Highest loop speed">
+      </div>
+      <div class="speed-option-row">
+        <span class="speed-option-label speed-loop-status">Repeat a section</span>
+        <button class="speed-option-btn speed-loop-forget">Forget</button>
+        <button class="speed-option-btn speed-loop-btn">Start</button>
+      </div>
+    </div>
+
     <div class="speed-actions">
       <button class="speed-reset-btn">Reset to 1x</button>
     </div>
@@ -330,14 +1797,16 @@ function createSpeedPanel() {
     hideSpeedPanel();
   });
   
-  // Preset buttons
-  panel.querySelectorAll('.speed-preset-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const speed = parseFloat(btn.dataset.speed);
-      applySpeed(speed);
-      updateSlider(speed);
-      updateActivePreset(speed);
-    });
+  // Preset buttons (delegated so re-rendered presets keep working)
+  const presetContainer = panel.querySelector('.speed-preset-groups');
+  renderPresetGroups(presetContainer);
+  presetContainer.addEventListener('click', (e) => {
+    const btn = e.target.closest('.speed-preset-btn');
+    if (!btn) return;
+    const speed = parseFloat(btn.dataset.speed);
+    applySpeed(speed);
+    updateSlider(speed);
+    updateActivePreset(speed);
   });
   
   // Slider
@@ -349,6 +1818,7 @@ function createSpeedPanel() {
   
   // Mark slider as active when user starts interacting
   slider.addEventListener('mousedown', () => {
+    lastSpeed = currentSpeed;
     isSliderActive = true;
   });
   
@@ -358,6 +1828,7 @@ function createSpeedPanel() {
   
   // Also handle touch events for mobile
   slider.addEventListener('touchstart', () => {
+    lastSpeed = currentSpeed;
     isSliderActive = true;
   });
   
@@ -399,8 +1870,89 @@ function createSpeedPanel() {
     });
   }
   
+  // Channel profile button (remember or forget depending on state)
+  const channelBtn = panel.querySelector('.speed-channel-btn');
+  channelBtn.addEventListener('click', () => {
+    if (channelSpeed !== null) {
+      forgetChannelSpeed();
+    } else {
+      rememberChannelSpeed();
+    }
+  });
+
+  // Smart speed toggle (starts the audio analysis from this click so the browser allows it)
+  panel.querySelector('.speed-smart-btn').addEventListener('click', () => {
+    settings.smartSpeedEnabled = !settings.smartSpeedEnabled;
+    if (settings.smartSpeedEnabled) {
+      startSmartSpeedContext();
+    }
+    syncSmartSpeed();
+    saveSettings({ smartSpeedEnabled: settings.smartSpeedEnabled }).catch(error => {
+      logError('storage', 'Error saving smart speed setting:', error);
+    });
+  });
+  
+  // Adaptive speed toggle (target and limits are set on the options page)
+  panel.querySelector('.speed-adaptive-btn').addEventListener('click', () => {
+    settings.adaptiveSpeedEnabled = !settings.adaptiveSpeedEnabled;
+    syncAdaptiveSpeed();
+    saveSettings({ adaptiveSpeedEnabled: settings.adaptiveSpeedEnabled }).catch(error => {
+      logError('storage', 'Error saving adaptive speed setting:', error);
+    });
+  });
+  
+  // Chapter rules toggle (rules themselves are edited on the options page)
+  panel.querySelector('.speed-chapter-btn').addEventListener('click', () => {
+    settings.chapterRulesEnabled = !settings.chapterRulesEnabled;
+    syncChapterRules();
+    saveSettings({ chapterRulesEnabled: settings.chapterRulesEnabled }).catch(error => {
+      logError('storage', 'Error saving chapter rules setting:', error);
+    });
+  });
+  
+  // Speed ramp start/cancel
+  panel.querySelector('.speed-ramp-btn').addEventListener('click', () => {
+    if (activeRamp) {
+      cancelSpeedRamp();
+    } else {
+      startSpeedRampFromPanel();
+    }
+  });
+  
+  // A-B loop points from the current time
+  panel.querySelector('.speed-loop-set-a').addEventListener('click', () => {
+    const video = getVideo();
+    if (video) panel.querySelector('.speed-loop-start').value = formatLoopTime(video.currentTime);
+  });
+  panel.querySelector('.speed-loop-set-b').addEventListener('click', () => {
+    const video = getVideo();
+    if (video) panel.querySelector('.speed-loop-end').value = formatLoopTime(video.currentTime);
+  });
+  
+  // A-B loop start/stop
+  panel.querySelector('.speed-loop-btn').addEventListener('click', () => {
+    if (activeLoop) {
+      stopAbLoop();
+    } else {
+      startAbLoopFromPanel();
+    }
+  });
+  
+  // Forget the loop saved for this video
+  panel.querySelector('.speed-loop-forget').addEventListener('click', () => {
+    setAbLoop(savedLoopVideoId, null);
+    savedLoop = null;
+    fillLoopInputs();
+    updateLoopControls();
+  });
+  
   // Keyboard accessibility
   panel.addEventListener('keydown', (e) => {
+    // Let the ramp and loop inputs take typed keys without triggering panel or page shortcuts
+    if (isTypingTarget(e.target)) {
+      e.stopPropagation();
+      return;
+    }
     if (e.key === 'Escape') {
       hideSpeedPanel();
     } else if (e.key === 'r' || e.key === 'R') {
@@ -414,6 +1966,44 @@ function createSpeedPanel() {
   return panel;
 }
 
+// Render preset groups into the panel's preset container
+function renderPresetGroups(container) {
+  if (!container) return;
+  container.innerHTML = '';
+  
+  presetGroups.forEach(group => {
+    const section = document.createElement('div');
+    section.className = 'speed-section';
+    
+    const label = document.createElement('div');
+    label.className = 'speed-section-label';
+    label.textContent = group.label;
+    section.appendChild(label);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'speed-presets';
+    buttons.style.setProperty('--preset-columns', Math.min(group.presets.length, 5));
+    group.presets.forEach(preset => {
+      const btn = document.createElement('button');
+      btn.className = 'speed-preset-btn';
+      btn.dataset.speed = preset.speed;
+      btn.textContent = getPresetLabel(preset);
+      btn.title = formatPresetSpeed(preset.speed);
+      buttons.appendChild(btn);
+    });
+    section.appendChild(buttons);
+    
+    container.appendChild(section);
+  });
+}
+
+// Re-render panel presets after they were edited
+function refreshPresetButtons() {
+  if (!speedPanel) return;
+  renderPresetGroups(speedPanel.querySelector('.speed-preset-groups'));
+  updateActivePreset(currentSpeed);
+}
+
 // Update speed display in panel
 function updateSpeedDisplay() {
   if (!speedPanel) return;
@@ -423,6 +2013,140 @@ function updateSpeedDisplay() {
   }
 }
 
+// Update channel profile controls in panel
+function updateChannelControls() {
+  if (!speedPanel) return;
+  const nameEl = speedPanel.querySelector('.speed-channel-name');
+  const channelBtn = speedPanel.querySelector('.speed-channel-btn');
+  if (!nameEl || !channelBtn) return;
+  
+  nameEl.textContent = currentChannel ? currentChannel.name : 'Unknown channel';
+  nameEl.title = currentChannel ? currentChannel.id : '';
+  channelBtn.disabled = !currentChannel;
+  channelBtn.textContent = channelSpeed !== null ? 'Forget channel speed' : 'Remember for this channel';
+  channelBtn.classList.toggle('active', channelSpeed !== null);
+}
+
+// Update smart speed toggle and seconds saved in panel
+function updateSmartSpeedControls() {
+  if (!speedPanel) return;
+  const statusEl = speedPanel.querySelector('.speed-smart-status');
+  const smartBtn = speedPanel.querySelector('.speed-smart-btn');
+  if (!statusEl || !smartBtn) return;
+  
+  statusEl.textContent = settings.smartSpeedEnabled
+    ? `Skip silence \u00b7 saved ${smartSpeedSecondsSaved.toFixed(1)}s`
+    : 'Skip silence';
+  smartBtn.textContent = settings.smartSpeedEnabled ? 'On' : 'Off';
+  smartBtn.classList.toggle('active', settings.smartSpeedEnabled);
+}
+
+// Update adaptive speed toggle and the measured caption density in panel
+function updateAdaptiveControls() {
+  if (!speedPanel) return;
+  const statusEl = speedPanel.querySelector('.speed-adaptive-status');
+  const adaptiveBtn = speedPanel.querySelector('.speed-adaptive-btn');
+  if (!statusEl || !adaptiveBtn) return;
+  
+  let status = 'Pace by caption density';
+  if (settings.adaptiveSpeedEnabled && adaptiveWordsPerSecond) {
+    const wpm = Math.round(adaptiveWordsPerSecond * 60);
+    status = adaptiveSpeed !== null
+      ? `${wpm} wpm \u2192 ${formatPresetSpeed(adaptiveSpeed)}`
+      : `${wpm} wpm \u00b7 your speed`;
+  } else if (settings.adaptiveSpeedEnabled) {
+    status = 'Waiting for captions (turn on CC)';
+  }
+  statusEl.textContent = status;
+  statusEl.title = `Target ${settings.adaptiveTargetWpm} words per minute`;
+  adaptiveBtn.textContent = settings.adaptiveSpeedEnabled ? 'On' : 'Off';
+  adaptiveBtn.classList.toggle('active', settings.adaptiveSpeedEnabled);
+}
+
+// Update chapter rules toggle and the active rule in panel
+function updateChapterControls() {
+  if (!speedPanel) return;
+  const statusEl = speedPanel.querySelector('.speed-chapter-status');
+  const chapterBtn = speedPanel.querySelector('.speed-chapter-btn');
+  if (!statusEl || !chapterBtn) return;
+  
+  let status = 'Speed by chapter title';
+  if (settings.chapterRulesEnabled && activeChapterRule) {
+    status = `${activeChapter.title} \u00b7 ${formatPresetSpeed(activeChapterRule.speed)}`;
+  } else if (settings.chapterRulesEnabled && activeChapter) {
+    status = `${activeChapter.title} \u00b7 no rule`;
+  }
+  statusEl.textContent = status;
+  statusEl.title = activeChapterRule ? `Matched "${activeChapterRule.pattern}"` : '';
+  chapterBtn.textContent = settings.chapterRulesEnabled ? 'On' : 'Off';
+  chapterBtn.classList.toggle('active', settings.chapterRulesEnabled);
+}
+
+// Fill the ramp inputs from the last used ramp
+function fillRampInputs() {
+  if (!speedPanel) return;
+  speedPanel.querySelector('.speed-ramp-from').value = settings.rampFrom;
+  speedPanel.querySelector('.speed-ramp-to').value = settings.rampTo;
+  speedPanel.querySelector('.speed-ramp-amount').value = settings.rampAmount;
+  speedPanel.querySelector('.speed-ramp-unit').value = settings.rampUnit;
+}
+
+// Update ramp inputs, button and progress in panel
+function updateRampControls(progress) {
+  if (!speedPanel) return;
+  const statusEl = speedPanel.querySelector('.speed-ramp-status');
+  const rampBtn = speedPanel.querySelector('.speed-ramp-btn');
+  if (!statusEl || !rampBtn) return;
+  
+  speedPanel.querySelectorAll('.speed-ramp-config .speed-option-input').forEach(input => {
+    input.disabled = !!activeRamp;
+  });
+  rampBtn.textContent = activeRamp ? 'Cancel' : 'Start';
+  rampBtn.classList.toggle('active', !!activeRamp);
+  
+  if (activeRamp) {
+    const percent = Math.round(Math.min(progress || getRampProgress(activeRamp) || 0, 1) * 100);
+    statusEl.textContent = `${formatPresetSpeed(activeRamp.from)} \u2192 ${formatPresetSpeed(activeRamp.to)} \u00b7 ${percent}%`;
+  } else {
+    statusEl.textContent = 'Ease into a faster speed';
+  }
+}
+
+// Fill the loop inputs from the loop saved for this video (or blank ones)
+function fillLoopInputs() {
+  if (!speedPanel) return;
+  const loop = savedLoop || { start: null, end: null, speed: currentSpeed, step: 0, every: 3, until: null };
+  speedPanel.querySelector('.speed-loop-start').value = loop.start !== null ? formatLoopTime(loop.start) : '';
+  speedPanel.querySelector('.speed-loop-end').value = loop.end !== null ? formatLoopTime(loop.end) : '';
+  speedPanel.querySelector('.speed-loop-speed').value = loop.speed;
+  speedPanel.querySelector('.speed-loop-step').value = loop.step > 0 ? loop.step : '';
+  speedPanel.querySelector('.speed-loop-every').value = loop.every;
+  speedPanel.querySelector('.speed-loop-until').value = loop.until !== null ? loop.until : '';
+}
+
+// Update loop inputs, buttons and repetitions in panel
+function updateLoopControls() {
+  if (!speedPanel) return;
+  const statusEl = speedPanel.querySelector('.speed-loop-status');
+  const loopBtn = speedPanel.querySelector('.speed-loop-btn');
+  const forgetBtn = speedPanel.querySelector('.speed-loop-forget');
+  if (!statusEl || !loopBtn || !forgetBtn) return;
+  
+  speedPanel.querySelectorAll('.speed-loop-config .speed-option-input, .speed-loop-config .speed-option-btn').forEach(el => {
+    el.disabled = !!activeLoop;
+  });
+  loopBtn.textContent = activeLoop ? 'Stop' : 'Start';
+  loopBtn.classList.toggle('active', !!activeLoop);
+  forgetBtn.style.display = savedLoop && !activeLoop ? '' : 'none';
+  
+  if (activeLoop) {
+    const range = `${formatLoopTime(activeLoop.start)}\u2013${formatLoopTime(activeLoop.end)}`;
+    statusEl.textContent = `${range} \u00b7 ${formatPresetSpeed(activeLoop.loopSpeed)} \u00b7 ${activeLoop.reps} reps`;
+  } else {
+    statusEl.textContent = savedLoop ? 'Saved loop for this video' : 'Repeat a section';
+  }
+}
+
 // Update slider value
 function updateSlider(speed) {
   if (!speedPanel) return;
@@ -434,11 +2158,31 @@ function updateSlider(speed) {
   updateSliderTooltip(speed, slider);
 }
 
+// Update slider range after the settings changed
+function updateSliderRange() {
+  if (!speedPanel) return;
+  const slider = speedPanel.querySelector('.speed-slider');
+  if (!slider) return;
+  
+  slider.min = settings.sliderMin;
+  slider.max = settings.sliderMax;
+  slider.step = settings.speedStep;
+  speedPanel.querySelector('.speed-slider-min').textContent = `${settings.sliderMin}x`;
+  speedPanel.querySelector('.speed-slider-max').textContent = `${settings.sliderMax}x`;
+  updateSlider(currentSpeed);
+}
+
+// Get a speed's position on the slider as a percentage (clamped to the slider range)
+function getSliderPercent(speed) {
+  const percent = ((speed - settings.sliderMin) / (settings.sliderMax - settings.sliderMin)) * 100;
+  return Math.min(Math.max(percent, 0), 100);
+}
+
 // Update slider fill (for webkit browsers)
 function updateSliderFill(slider, speed) {
   if (!slider) return;
   
-  const percent = ((speed - MIN_SPEED) / (MAX_SPEED - MIN_SPEED)) * 100;
+  const percent = getSliderPercent(speed);
   
   // Create gradient that fills from left to the current position
   slider.style.background = `linear-gradient(to right, #3ea6ff 0%, #5eb8ff ${percent}%, rgba(255, 255, 255, 0.1) ${percent}%, rgba(255, 255, 255, 0.1) 100%)`;
@@ -453,7 +2197,7 @@ function updateSliderTooltip(speed, slider) {
   tooltip.textContent = `${speed.toFixed(1)}x`;
   
   // Calculate position based on slider value
-  const percent = ((speed - MIN_SPEED) / (MAX_SPEED - MIN_SPEED)) * 100;
+  const percent = getSliderPercent(speed);
   const thumbWidth = 16;
   const offset = (thumbWidth / 2) * (1 - 2 * percent / 100) + 1;
   tooltip.style.left = `calc(${percent}% + ${offset}px)`;
@@ -486,17 +2230,17 @@ function toggleSpeedPanel() {
 
 // Adjust panel size based on player dimensions
 function adjustPanelResponsiveness() {
-  console.log('[YT Speed] adjustPanelResponsiveness() called');
+  logDebug('panel', 'adjustPanelResponsiveness() called');
   
   if (!speedPanel) {
-    console.log('[YT Speed] No speedPanel to adjust');
+    logDebug('panel', 'No speedPanel to adjust');
     return;
   }
   
-  // Get the main player
-  const playerContainer = document.querySelector('#movie_player');
+  // Get the main player (or the active short's player)
+  const playerContainer = getPlayerContainer();
   if (!playerContainer) {
-    console.log('[YT Speed] No #movie_player found for sizing');
+    logDebug('panel', 'No player found for sizing');
     return;
   }
   
@@ -504,11 +2248,11 @@ function adjustPanelResponsiveness() {
   const playerWidth = playerRect.width;
   const playerHeight = playerRect.height;
   
-  console.log('[YT Speed] Player dimensions for panel sizing:', playerWidth + 'x' + playerHeight);
+  logDebug('panel', 'Player dimensions for panel sizing:', playerWidth + 'x' + playerHeight);
   
   // If player dimensions are invalid (0 or very small), don't adjust yet
   if (playerWidth < 100 || playerHeight < 100) {
-    console.log('[YT Speed] Player dimensions too small, skipping adjustment');
+    logDebug('panel', 'Player dimensions too small, skipping adjustment');
     // Set default sizing as fallback
     speedPanel.style.minWidth = '320px';
     speedPanel.style.maxWidth = '320px';
@@ -525,7 +2269,7 @@ function adjustPanelResponsiveness() {
   // Apply size adjustments based on player dimensions
   if (playerWidth < 380) {
     // Very small - full width
-    console.log('[YT Speed] Applying panel-full class');
+    logDebug('panel', 'Applying panel-full class');
     speedPanel.classList.add('panel-full');
     speedPanel.style.minWidth = `${playerWidth - 20}px`;
     speedPanel.style.maxWidth = `${playerWidth - 20}px`;
@@ -534,7 +2278,7 @@ function adjustPanelResponsiveness() {
     speedPanel.style.bottom = '70px'; // Higher to avoid progress bar
   } else if (playerWidth < 500) {
     // Small - compact
-    console.log('[YT Speed] Applying panel-compact class (small)');
+    logDebug('panel', 'Applying panel-compact class (small)');
     speedPanel.classList.add('panel-compact');
     speedPanel.style.minWidth = '260px';
     speedPanel.style.maxWidth = '260px';
@@ -543,7 +2287,7 @@ function adjustPanelResponsiveness() {
     speedPanel.style.bottom = '75px'; // Higher to avoid progress bar
   } else if (playerWidth < 768) {
     // Medium
-    console.log('[YT Speed] Applying panel-compact class (medium)');
+    logDebug('panel', 'Applying panel-compact class (medium)');
     speedPanel.classList.add('panel-compact');
     speedPanel.style.minWidth = '280px';
     speedPanel.style.maxWidth = '280px';
@@ -552,7 +2296,7 @@ function adjustPanelResponsiveness() {
     speedPanel.style.bottom = '75px'; // Consistent positioning
   } else {
     // Large - default
-    console.log('[YT Speed] Applying default (large) sizing');
+    logDebug('panel', 'Applying default (large) sizing');
     speedPanel.style.minWidth = '320px';
     speedPanel.style.maxWidth = '320px';
     speedPanel.style.right = '50px';
@@ -572,30 +2316,39 @@ function adjustPanelResponsiveness() {
     // Keep bottom from width-based adjustments
   }
   
-  console.log('[YT Speed] Panel styled - minWidth:', speedPanel.style.minWidth, 'maxWidth:', speedPanel.style.maxWidth);
+  logDebug('panel', 'Panel styled - minWidth:', speedPanel.style.minWidth, 'maxWidth:', speedPanel.style.maxWidth);
 }
 
 // Show speed panel
 function showSpeedPanel() {
   if (!speedPanel) return;
   
-  console.log('[YT Speed] showSpeedPanel() called');
+  logDebug('panel', 'showSpeedPanel() called');
   
   // Make panel visible first
   speedPanel.style.display = 'block';
-  console.log('[YT Speed] Panel set to display: block');
+  logDebug('panel', 'Panel set to display: block');
   
   // Adjust sizing (now that it's visible, dimensions should calculate correctly)
   adjustPanelResponsiveness();
   
   // Check actual rendered dimensions
   const panelRect = speedPanel.getBoundingClientRect();
-  console.log('[YT Speed] Panel actual dimensions after adjustment:', panelRect.width + 'x' + panelRect.height);
-  console.log('[YT Speed] Panel computed styles - width:', window.getComputedStyle(speedPanel).width, 'minWidth:', window.getComputedStyle(speedPanel).minWidth);
+  logDebug('panel', 'Panel actual dimensions after adjustment:', panelRect.width + 'x' + panelRect.height);
+  logDebug('panel', 'Panel computed styles - width:', window.getComputedStyle(speedPanel).width, 'minWidth:', window.getComputedStyle(speedPanel).minWidth);
   
   updateSlider(currentSpeed); // This will also update the fill
   updateActivePreset(currentSpeed);
   updateSpeedDisplay();
+  updateChannelControls();
+  updateSmartSpeedControls();
+  updateAdaptiveControls();
+  updateChapterControls();
+  updateRampControls();
+  if (savedLoopVideoId !== getVideoId()) {
+    loadSavedLoop();
+  }
+  updateLoopControls();
   
   // Focus first button for accessibility
   setTimeout(() => {
@@ -610,6 +2363,73 @@ function hideSpeedPanel() {
   speedPanel.style.display = 'none';
 }
 
+// Create the HUD, or move it into the current player (after navigation or a player rebuild)
+function ensureSpeedHud() {
+  const player = getPlayerContainer();
+  if (!player) return null;
+  
+  if (!speedHud) {
+    speedHud = document.createElement('div');
+    speedHud.className = 'yt-custom-speed-hud';
+    speedHud.setAttribute('aria-live', 'polite');
+    speedHud.innerHTML = `
+      <span class="speed-hud-value"></span>
+      <span class="speed-hud-source"></span>
+    `;
+  }
+  if (!player.contains(speedHud)) {
+    player.appendChild(speedHud);
+  }
+  
+  speedHud.dataset.position = settings.hudPosition;
+  speedHud.style.setProperty('--hud-opacity', settings.hudOpacity);
+  return speedHud;
+}
+
+// Briefly show the new speed and what changed it
+function showSpeedHud(speed, source) {
+  if (!settings.hudEnabled || !isVideoPage()) return;
+  const hud = ensureSpeedHud();
+  if (!hud) return;
+  
+  hud.querySelector('.speed-hud-value').textContent = formatPresetSpeed(speed);
+  hud.querySelector('.speed-hud-source').textContent = HUD_SOURCE_LABELS[source] || '';
+  hud.classList.remove('badge');
+  hud.classList.add('visible');
+  
+  if (speedHudTimeout) {
+    clearTimeout(speedHudTimeout);
+  }
+  speedHudTimeout = setTimeout(() => {
+    speedHudTimeout = null;
+    // Shrink to the permanent badge, or hide
+    hud.classList.toggle('badge', settings.hudBadge);
+    hud.classList.toggle('visible', settings.hudBadge);
+  }, settings.hudDuration);
+}
+
+// Apply HUD settings after they changed on the options page
+function syncSpeedHud() {
+  if (!speedHud) {
+    // Show the badge straight away if it was just turned on
+    if (settings.hudEnabled && settings.hudBadge && getVideo()) {
+      showSpeedHud(getVideo().playbackRate, null);
+    }
+    return;
+  }
+  ensureSpeedHud();
+  if (!settings.hudEnabled) {
+    speedHud.classList.remove('visible', 'badge');
+  } else if (!speedHudTimeout) {
+    const video = getVideo();
+    if (video) {
+      speedHud.querySelector('.speed-hud-value').textContent = formatPresetSpeed(video.playbackRate);
+    }
+    speedHud.classList.toggle('badge', settings.hudBadge);
+    speedHud.classList.toggle('visible', settings.hudBadge);
+  }
+}
+
 // Position panel above the button
 function positionSpeedPanel() {
   if (!speedPanel || !speedButton) return;
@@ -621,106 +2441,81 @@ function positionSpeedPanel() {
 
 // Inject custom controls into YouTube player
 function injectSpeedControls() {
-  console.log('[YT Speed] injectSpeedControls() called');
+  logDebug('inject', 'injectSpeedControls() called');
+  
+  // Shorts have their own player without .ytp-right-controls
+  if (isShortsPage()) {
+    return injectShortsControls();
+  }
   
-  // CRITICAL: Only inject into the MAIN video player (#movie_player)
+  // CRITICAL: Only inject into the MAIN video player (#movie_player on the watch page)
   // YouTube has preview players (#c4-player, etc.) that we should ignore
-  const mainPlayer = document.querySelector('#movie_player');
-  console.log('[YT Speed] Main player (#movie_player) found:', !!mainPlayer);
+  const adapter = getSurfaceAdapter();
+  const mainPlayer = adapter.getPlayer();
+  logDebug('inject', 'Main player found on', getSurface(), 'surface:', !!mainPlayer);
   
   if (!mainPlayer) {
-    console.log('[YT Speed] Main video player not found, skipping injection');
+    recordInjectionFailure('no player found');
     return false;
   }
   
   // Check if player is actually initialized (not in a hidden/unstarted state)
   // The player should have proper dimensions and the controls should be visible
   const playerRect = mainPlayer.getBoundingClientRect();
-  const hasValidDimensions = playerRect.width > 100 && playerRect.height > 100;
-  console.log('[YT Speed] Player dimensions:', playerRect.width + 'x' + playerRect.height, 'valid:', hasValidDimensions);
+  const hasValidDimensions = playerRect.width > 100 && (playerRect.height > 100 || !adapter.requiresPlayerSize);
+  logDebug('inject', 'Player dimensions:', playerRect.width + 'x' + playerRect.height, 'valid:', hasValidDimensions);
   
   if (!hasValidDimensions) {
-    console.log('[YT Speed] Player not properly sized yet, waiting...');
+    recordInjectionFailure('player not sized yet');
     return false;
   }
   
   // Find the right controls container WITHIN the main player
-  let rightControls = findRightControls(mainPlayer);
-  console.log('[YT Speed] rightControls in main player found:', !!rightControls);
-  
-  // If not found, try alternative approach: find any controls container with buttons
-  if (!rightControls) {
-    console.log('[YT Speed] Trying alternative approach to find controls...');
-    
-    // Look for controls bar
-    const controlsBar = mainPlayer.querySelector('.ytp-chrome-controls');
-    if (controlsBar) {
-      console.log('[YT Speed] Found controls bar, looking for button containers...');
-      // Try to find any div with buttons inside the controls
-      const buttonContainers = controlsBar.querySelectorAll('div[class*="controls"]');
-      console.log('[YT Speed] Found', buttonContainers.length, 'button containers');
-      
-      // Find one that contains buttons (likely the right controls)
-      for (const container of buttonContainers) {
-        const buttons = container.querySelectorAll('button');
-        if (buttons.length > 0) {
-          console.log('[YT Speed] Found container with', buttons.length, 'buttons, class:', container.className);
-          // Check if this looks like the right controls (has settings or fullscreen button)
-          const hasSettingsOrFullscreen = Array.from(buttons).some(btn => 
-            btn.className.includes('settings') || 
-            btn.className.includes('fullscreen') ||
-            btn.getAttribute('aria-label')?.toLowerCase().includes('settings') ||
-            btn.getAttribute('aria-label')?.toLowerCase().includes('fullscreen')
-          );
-          if (hasSettingsOrFullscreen) {
-            rightControls = container;
-            console.log('[YT Speed] Using this container as rightControls');
-            break;
-          }
-        }
-      }
-    }
-  }
+  const found = findRightControls(mainPlayer);
+  const rightControls = found.element;
+  logDebug('inject', 'rightControls in main player found:', !!rightControls);
   
   if (!rightControls) {
-    console.log('[YT Speed] Controls not found in main player, waiting...');
+    recordInjectionFailure('no right controls found');
     return false;
   }
   
   // Verify the video element exists and is ready
-  const video = mainPlayer.querySelector('video');
-  console.log('[YT Speed] Video element found:', !!video, 'readyState:', video ? video.readyState : 'N/A');
+  const video = getVideo();
+  logDebug('inject', 'Video element found:', !!video, 'readyState:', video ? video.readyState : 'N/A');
   
   if (!video || video.readyState < 1) {
-    console.log('[YT Speed] Video not ready yet, waiting...');
+    recordInjectionFailure('video not ready');
     return false;
   }
   
   // Check if already injected and still valid
   const existingButton = document.querySelector('.yt-custom-speed-button');
-  console.log('[YT Speed] existingButton:', !!existingButton, 'speedButton:', !!speedButton);
+  logDebug('inject', 'existingButton:', !!existingButton, 'speedButton:', !!speedButton);
   
   if (existingButton && speedButton && existingButton === speedButton) {
     // Already properly injected
-    console.log('[YT Speed] Already injected');
+    logDebug('inject', 'Already injected');
+    recordInjectionSuccess(found.strategy);
     return true;
   }
   
   // Remove any orphaned buttons/panels
   const orphanedButtons = document.querySelectorAll('.yt-custom-speed-button');
   const orphanedPanels = document.querySelectorAll('.yt-custom-speed-panel');
-  console.log('[YT Speed] Removing orphans - buttons:', orphanedButtons.length, 'panels:', orphanedPanels.length);
+  logDebug('inject', 'Removing orphans - buttons:', orphanedButtons.length, 'panels:', orphanedPanels.length);
   orphanedButtons.forEach(el => el.remove());
   orphanedPanels.forEach(el => el.remove());
   
   // Create button
-  console.log('[YT Speed] Creating speed button...');
+  logDebug('inject', 'Creating speed button...');
   speedButton = createSpeedButton();
-  console.log('[YT Speed] Button created:', !!speedButton);
+  if (adapter.buttonClass) {
+    speedButton.classList.add(adapter.buttonClass);
+  }
+  logDebug('inject', 'Button created:', !!speedButton);
   
   // Insert the button safely
-  console.log('[YT Speed] v1.3.3 - Attempting safe button insertion...');
-  
   // YouTube's new UI has sub-containers: ytp-right-controls-left and ytp-right-controls-right
   // We want to insert into the right side container (where settings/fullscreen buttons are)
   let targetContainer = rightControls.querySelector('.ytp-right-controls-right');
@@ -728,9 +2523,9 @@ function injectSpeedControls() {
   if (!targetContainer) {
     // Fallback to main container if sub-container doesn't exist
     targetContainer = rightControls;
-    console.log('[YT Speed] Using main rightControls as target (no sub-container found)');
+    logDebug('selector', 'Using main rightControls as target (no sub-container found)');
   } else {
-    console.log('[YT Speed] Found ytp-right-controls-right sub-container');
+    logDebug('selector', 'Found ytp-right-controls-right sub-container');
   }
   
   try {
@@ -738,116 +2533,192 @@ function injectSpeedControls() {
     const firstButton = targetContainer.querySelector('button');
     if (firstButton && firstButton.parentElement === targetContainer) {
       targetContainer.insertBefore(speedButton, firstButton);
-      console.log('[YT Speed] Button inserted before first button in container');
+      logDebug('inject', 'Button inserted before first button in container');
     } else {
       // Fallback: prepend to the target container
       targetContainer.insertBefore(speedButton, targetContainer.firstChild);
-      console.log('[YT Speed] Button prepended to container');
+      logDebug('inject', 'Button prepended to container');
     }
   } catch (error) {
     // Final fallback: just append
-    console.warn('[YT Speed] Insert failed, appending instead:', error);
+    logWarn('inject', 'Insert failed, appending instead:', error);
     targetContainer.appendChild(speedButton);
-    console.log('[YT Speed] Button appended to container');
+    logDebug('inject', 'Button appended to container');
   }
   
   // Verify button was actually added to DOM
   const buttonInDom = document.querySelector('.yt-custom-speed-button');
-  console.log('[YT Speed] Button in DOM after insert:', !!buttonInDom);
-  console.log('[YT Speed] Button parent:', buttonInDom ? buttonInDom.parentElement : 'none');
+  logDebug('inject', 'Button in DOM after insert:', !!buttonInDom);
+  logDebug('inject', 'Button parent:', buttonInDom ? buttonInDom.parentElement : 'none');
   
   // Create and add panel to main player container (like YouTube's native menus)
-  console.log('[YT Speed] Creating speed panel...');
+  logDebug('inject', 'Creating speed panel...');
   speedPanel = createSpeedPanel();
-  console.log('[YT Speed] Panel created:', !!speedPanel);
+  logDebug('inject', 'Panel created:', !!speedPanel);
+  updateChannelControls();
+  updateSmartSpeedControls();
+  updateAdaptiveControls();
+  updateChapterControls();
+  fillRampInputs();
+  updateRampControls();
+  fillLoopInputs();
+  updateLoopControls();
   
   // Append to the main player (we already verified it exists at the start of this function)
   mainPlayer.appendChild(speedPanel);
-  console.log('[YT Speed] Panel appended to main player (#movie_player)');
+  logDebug('inject', 'Panel appended to main player (#movie_player)');
   
   // Verify panel was actually added to DOM
   const panelInDom = document.querySelector('.yt-custom-speed-panel');
-  console.log('[YT Speed] Panel in DOM after append:', !!panelInDom);
-  console.log('[YT Speed] Panel parent:', panelInDom ? panelInDom.parentElement : 'none');
-  console.log('[YT Speed] Panel parent ID:', panelInDom && panelInDom.parentElement ? panelInDom.parentElement.id : 'none');
+  logDebug('inject', 'Panel in DOM after append:', !!panelInDom);
+  logDebug('inject', 'Panel parent:', panelInDom ? panelInDom.parentElement : 'none');
+  logDebug('inject', 'Panel parent ID:', panelInDom && panelInDom.parentElement ? panelInDom.parentElement.id : 'none');
   
   // Adjust panel responsiveness after a tiny delay to ensure DOM is fully updated
   // This prevents the panel from being a thin stripe
   setTimeout(() => {
     adjustPanelResponsiveness();
-    console.log('[YT Speed] Panel responsiveness adjusted (delayed)');
+    logDebug('panel', 'Panel responsiveness adjusted (delayed)');
   }, 50);
   
-  console.log('[YT Speed] Controls injected successfully at speed:', currentSpeed);
+  recordInjectionSuccess(found.strategy);
   return true;
 }
 
-// Wait for YouTube player to load
-function waitForPlayer() {
-  let attempts = 0;
-  const maxAttempts = 100; // 50 seconds total (increased)
-  
-  const checkInterval = setInterval(() => {
-    attempts++;
-    
-    if (injectSpeedControls()) {
-      clearInterval(checkInterval);
-      
-      // Apply saved speed to video
-      const video = getVideo();
-      if (video) {
-        applySpeed(currentSpeed);
-      }
-      
-      // Monitor for speed resets
-      monitorVideoSpeed();
-      
-      // Setup mutation observer for DOM changes (only once)
-      if (!observer) {
-        setupMutationObserver();
-      }
-    }
-    
-    // Stop checking after max attempts
-    if (attempts >= maxAttempts) {
-      clearInterval(checkInterval);
-    }
-  }, 500);
-}
-
-// Helper function to find right controls with fallbacks
-function findRightControls(mainPlayer) {
-  if (!mainPlayer) return null;
+// Inject the button into the active short's action bar (next to like, comment, share)
+function injectShortsControls() {
+  const reel = getActiveShort();
+  const found = reel ? findControls(reel, getControlsStrategies('shorts', settings.controlsSelectors)) : { element: null };
+  const actions = found.element;
+  const container = getPlayerContainer();
+  logDebug('inject', 'Active short found:', !!reel, 'actions:', !!actions);
+  
+  if (!reel || !container) {
+    recordInjectionFailure('no active short found');
+    return false;
+  }
+  if (!actions) {
+    recordInjectionFailure('no Shorts action bar found');
+    return false;
+  }
   
-  // Try primary selector
-  let rightControls = mainPlayer.querySelector('.ytp-right-controls');
+  const video = getVideo();
+  if (!video || video.readyState < 1) {
+    recordInjectionFailure('video not ready');
+    return false;
+  }
   
-  // Try alternate selectors for newer YouTube versions
-  if (!rightControls) {
-    rightControls = mainPlayer.querySelector('.ytp-chrome-controls .ytp-right-controls');
+  // Already injected into this short
+  if (speedButton && actions.contains(speedButton) && speedPanel && container.contains(speedPanel)) {
+    recordInjectionSuccess(found.strategy);
+    return true;
   }
-  if (!rightControls) {
-    rightControls = mainPlayer.querySelector('[class*="right-controls"]');
+  
+  // The button stays behind on the previous short after scrolling, so move to this one
+  document.querySelectorAll('.yt-custom-speed-button').forEach(el => el.remove());
+  document.querySelectorAll('.yt-custom-speed-panel').forEach(el => el.remove());
+  
+  speedButton = createSpeedButton();
+  speedButton.classList.add('yt-custom-speed-button-shorts');
+  actions.insertBefore(speedButton, actions.firstChild);
+  
+  speedPanel = createSpeedPanel();
+  speedPanel.classList.add('panel-shorts');
+  updateChannelControls();
+  updateSmartSpeedControls();
+  updateAdaptiveControls();
+  updateChapterControls();
+  fillRampInputs();
+  updateRampControls();
+  fillLoopInputs();
+  updateLoopControls();
+  container.appendChild(speedPanel);
+  
+  setTimeout(adjustPanelResponsiveness, 50);
+  recordInjectionSuccess(found.strategy);
+  return true;
+}
+
+// Check whether the controls are missing from the current player
+function controlsMissing() {
+  if (isShortsPage()) {
+    const reel = getActiveShort();
+    return !!reel && !(speedButton && reel.contains(speedButton));
   }
+  const button = document.querySelector('.yt-custom-speed-button');
+  return !button || button !== speedButton;
+}
+
+// Find the right controls inside the player with this surface's strategies
+// Returns { element, strategy } (both null if every strategy failed)
+function findRightControls(mainPlayer) {
+  const strategies = getControlsStrategies(getSurface() || 'watch', settings.controlsSelectors);
+  const found = findControls(mainPlayer, strategies);
   
-  // Debug: Log what we found
-  if (rightControls) {
-    console.log('[YT Speed] Found rightControls with class:', rightControls.className);
-    console.log('[YT Speed] rightControls children count:', rightControls.children.length);
-    console.log('[YT Speed] rightControls children classes:', Array.from(rightControls.children).map(c => c.className).join(', '));
+  if (found.element) {
+    // Falling back past the first strategy usually means YouTube changed its layout
+    if (found.strategy !== strategies[0]) {
+      logInfo('selector', 'Controls found by fallback strategy', found.strategy.name);
+    }
+    logDebug('selector', 'Found rightControls with class:', found.element.className);
   } else {
     // If still not found, log available controls structures for debugging
     const allControls = mainPlayer.querySelectorAll('[class*="controls"]');
-    console.warn('[YT Speed] Could not find right-controls. Available control elements:', 
+    logWarn('selector', 'All', strategies.length, 'controls strategies failed. Available control elements:',
       Array.from(allControls).map(el => el.className).join(', '));
   }
-  
-  return rightControls;
+  return found;
 }
 
-// Check if we're on a video page
+// Start a new injection report (each navigation is a new page to inject into)
+function resetInjectionReport() {
+  injectionReport = {
+    surface: getSurface(),
+    status: 'pending',
+    strategy: null,
+    reason: null,
+    attempts: 0,
+    updatedAt: Date.now()
+  };
+}
+
+// Record why an injection attempt stopped short (shown in the popup)
+function recordInjectionFailure(reason) {
+  injectionReport.attempts++;
+  injectionReport.reason = reason;
+  injectionReport.updatedAt = Date.now();
+  logInfo('inject', 'Injection attempt failed:', reason);
+}
+
+// Record the strategy the controls were injected with
+function recordInjectionSuccess(strategy) {
+  if (injectionReport.status === 'injected' && injectionReport.strategy === strategy.name) return;
+  injectionReport.attempts++;
+  injectionReport.status = 'injected';
+  injectionReport.strategy = strategy.name;
+  injectionReport.reason = null;
+  injectionReport.updatedAt = Date.now();
+  logInfo('inject', 'Controls injected via strategy', strategy.name, 'at speed:', currentSpeed);
+}
+
+// Check if we're on a regular watch page
+function isWatchPage() {
+  return getSurface() === 'watch';
+}
+
+// Check if we're on a Shorts page (/shorts/<id>)
+function isShortsPage() {
+  return getSurface() === 'shorts';
+}
+
+// Check if the page has a player we control (watch page, Shorts, embed or YouTube Music)
 function isVideoPage() {
-  return window.location.pathname === '/watch' || window.location.href.includes('/watch?');
+  return getSurface() !== null;
+}
+
+// Check if the page's controls live in a control bar that findRightControls can find
+function hasControlBar() {
+  return isVideoPage() && !isShortsPage();
 }
 
 // Re-inject controls (called on navigation)
@@ -855,62 +2726,211 @@ function reinjectControls() {
   // Remove old references
   speedButton = null;
   speedPanel = null;
-  
-  // Wait a bit for YouTube to rebuild the player
-  setTimeout(() => {
-    waitForPlayer();
-  }, 500);
+  resetInjectionReport();
+  startPlayerWatcher();
 }
 
-// Setup mutation observer to handle YouTube DOM updates
-function setupMutationObserver() {
-  if (observer) {
-    return; // Only set up once
+// Start watching the player for this page, or stop if the page has none
+function startPlayerWatcher() {
+  if (!isVideoPage()) {
+    stopPlayerWatcher();
+    return;
   }
-  
-  let reinjectTimeout = null;
-  
-  observer = new MutationObserver((mutations) => {
-    // Throttle re-injection checks
-    if (!document.querySelector('.yt-custom-speed-button') && !reinjectTimeout) {
-      reinjectTimeout = setTimeout(() => {
-        injectSpeedControls();
-        reinjectTimeout = null;
-      }, 1000);
-    }
-    
-    // Don't interfere while user is actively using the slider
-    if (isSliderActive) return;
-    
-    // Check if video changed, reapply speed
-    const video = getVideo();
-    if (!video) return;
-    
-    const videoSpeed = video.playbackRate;
-    
-    // Don't interfere if this matches temporary speed or recently changed
-    if (shouldAllowSpeedChange(videoSpeed)) return;
-    
-    if (Math.abs(videoSpeed - currentSpeed) > 0.01) {
-      setTimeout(() => applySpeed(currentSpeed), 100);
+  watchedUrl = location.href;
+  checkPlayer();
+  // The player and its controls render a while after navigation, without mutations we'd see
+  if (controlsMissing()) {
+    playerSearchAttempts = 0;
+    if (!playerSearchTimer) {
+      playerSearchTimer = setInterval(searchForPlayer, PLAYER_SEARCH_INTERVAL);
     }
-  });
+  }
+}
+
+// Stop everything the watcher runs (on pages without a player)
+function stopPlayerWatcher() {
+  if (playerWatcher) {
+    playerWatcher.disconnect();
+  }
+  watchedRoot = null;
+  bindVideo(null);
+  clearTimeout(playerCheckTimeout);
+  playerCheckTimeout = null;
+  stopPlayerSearch();
+}
+
+function stopPlayerSearch() {
+  clearInterval(playerSearchTimer);
+  playerSearchTimer = null;
+}
+
+// One look for the player while it hasn't rendered yet
+function searchForPlayer() {
+  playerSearchAttempts++;
+  checkPlayer();
+  if (!playerSearchTimer) return; // checkPlayer stopped the watcher
+  if (!controlsMissing()) {
+    stopPlayerSearch();
+  } else if (playerSearchAttempts >= PLAYER_SEARCH_ATTEMPTS) {
+    injectionReport.status = 'failed';
+    logWarn('inject', 'Injection failed:', injectionReport.reason || 'no player found');
+    stopPlayerSearch();
+  }
+}
+
+// Observe only the player's subtree (and its parent, to notice it being replaced)
+function watchPlayer(root) {
+  if (!playerWatcher) {
+    playerWatcher = new MutationObserver(schedulePlayerCheck);
+  }
+  playerWatcher.disconnect();
+  watchedRoot = root;
+  if (!root) return;
   
-  observer.observe(document.body, {
+  playerWatcher.observe(root, {
     childList: true,
-    subtree: true
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['is-active']
   });
+  if (root.parentNode) {
+    playerWatcher.observe(root.parentNode, { childList: true });
+  }
+}
+
+// Whether a mutation adds or removes something the watcher follows: a video element, the
+// player itself, or our controls (with whatever part of the controls bar holds them).
+// Shorts' is-active moving to another short counts too (the only attribute observed).
+function isPlayerStructureChange(mutation) {
+  if (mutation.type === 'attributes') return true;
+  const nodes = Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes));
+  return nodes.some(node => node.nodeType === Node.ELEMENT_NODE && (
+    node.matches('video') || !!node.querySelector('video') ||
+    (watchedRoot && (node === watchedRoot || node.contains(watchedRoot))) ||
+    (speedButton && node.contains(speedButton)) ||
+    (speedPanel && node.contains(speedPanel))
+  ));
+}
+
+// Handle the player's mutations in batches rather than one by one. Most of them are the
+// player updating itself while it plays (time display, progress bar, tooltips), which
+// needs no check; only structure changes, a URL YouTube changed without a navigation
+// event, or controls still waiting to go in do.
+function schedulePlayerCheck(mutations) {
+  if (playerCheckTimeout) return;
+  if (location.href === watchedUrl && !controlsMissing() && !mutations.some(isPlayerStructureChange)) return;
+  playerCheckTimeout = setTimeout(checkPlayer, PLAYER_CHECK_DELAY);
+}
+
+// Bring everything in line with the player as it is now: follow a rebuilt player,
+// put missing controls back and hand a new video element to speed ownership
+function checkPlayer() {
+  playerCheckTimeout = null;
+  if (!isVideoPage()) {
+    stopPlayerWatcher();
+    return;
+  }
+  
+  // Scrolling to the next short (or the next song on YouTube Music) changes the URL
+  // without a navigation event, so treat it like one
+  if (location.href !== watchedUrl) {
+    watchedUrl = location.href;
+    if (isShortsPage() || getSurface() === 'music') {
+      handleYouTubeNavigation();
+    } else {
+      reinjectControls();
+    }
+    return;
+  }
+  
+  const adapter = getSurfaceAdapter();
+  const root = adapter.getWatchRoot ? adapter.getWatchRoot() : adapter.getPlayer();
+  if (root !== watchedRoot) {
+    watchPlayer(root);
+  }
+  if (!root) return;
+  
+  if (controlsMissing() && injectSpeedControls()) {
+    // Apply the remembered speed for this video (video memory, channel or global)
+    applyResolvedSpeed();
+    syncChapterRules();
+    syncAdWatcher();
+  }
+  
+  // Don't interfere while user is actively using the slider
+  if (isSliderActive) return;
+  
+  // Follow a swapped video element (ownership puts our speed back on the new one)
+  syncBoundVideo();
 }
 
 // Handle fullscreen changes
 function handleFullscreenChange() {
   if (!speedPanel) return;
   
-  // Re-attach panel to the main player
-  const mainPlayer = document.querySelector('#movie_player');
+  // Re-attach panel and HUD to the main player
+  const mainPlayer = getPlayerContainer();
   if (mainPlayer && !mainPlayer.contains(speedPanel)) {
     mainPlayer.appendChild(speedPanel);
   }
+  if (speedHud && mainPlayer && !mainPlayer.contains(speedHud)) {
+    mainPlayer.appendChild(speedHud);
+  }
+}
+
+// Check if the user is typing (search box, comments, chat, etc.)
+function isTypingTarget(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox' && target.type !== 'button';
+}
+
+// Change speed from a shortcut, keeping the panel and storage in sync
+function applyShortcutSpeed(speed) {
+  const clamped = Math.min(Math.max(speed, settings.minSpeed), settings.maxSpeed);
+  const rounded = parseFloat(clamped.toFixed(2));
+  applySpeed(rounded, false, false, 'shortcut');
+  updateSlider(rounded);
+  updateActivePreset(rounded);
+}
+
+// Run a shortcut action
+function runShortcutAction(action) {
+  if (action === 'speedUp') {
+    applyShortcutSpeed(currentSpeed + settings.speedStep);
+  } else if (action === 'slowDown') {
+    applyShortcutSpeed(currentSpeed - settings.speedStep);
+  } else if (action === 'reset') {
+    applyShortcutSpeed(1.0);
+  } else if (action === 'toggleLast') {
+    if (lastSpeed !== null) {
+      applyShortcutSpeed(lastSpeed);
+    }
+  } else if (action.startsWith('preset')) {
+    const presets = flattenPresetGroups(presetGroups);
+    const preset = presets[parseInt(action.slice('preset'.length), 10) - 1];
+    if (preset) {
+      applyShortcutSpeed(preset.speed);
+    }
+  }
+}
+
+// Handle page-level keyboard shortcuts
+function handleShortcutKeydown(e) {
+  if (!settings.shortcutsEnabled || !isVideoPage()) return;
+  if (isTypingTarget(e.target)) return;
+  
+  const shortcut = getShortcutFromEvent(e);
+  if (!shortcut) return;
+  
+  const action = findShortcutAction(getShortcutBindings(settings.shortcuts), shortcut);
+  if (!action || !getVideo()) return;
+  
+  // Keep YouTube from also handling the key
+  e.preventDefault();
+  e.stopPropagation();
+  runShortcutAction(action);
 }
 
 // Handle clicks outside panel to close it
@@ -935,25 +2955,116 @@ function handleResize() {
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'setSpeed') {
-    applySpeed(request.speed);
+    // Until the page's own speed has been applied it would overwrite this one, so the
+    // sender is told to try again (the background service worker retries while a tab loads)
+    if (!pageSpeedReady || !getVideo()) {
+      sendResponse({ success: false, currentSpeed: currentSpeed });
+      return true;
+    }
+    // The background service worker passes 'shortcut' or 'menu' so the HUD says what changed it
+    const source = request.source && HUD_SOURCE_LABELS[request.source] ? request.source : 'popup';
+    applySpeed(request.speed, false, false, source);
     updateSlider(request.speed);
     updateActivePreset(request.speed);
     sendResponse({ success: true, currentSpeed: currentSpeed });
   } else if (request.action === 'getSpeed') {
-    sendResponse({ currentSpeed: currentSpeed });
+    sendResponse({ currentSpeed: currentSpeed, injection: injectionReport, ...getChannelState() });
+  } else if (request.action === 'getTabState') {
+    sendResponse(getTabState());
+  } else if (request.action === 'retryInjection') {
+    logInfo('inject', 'Retrying injection from the popup');
+    reinjectControls();
+    sendResponse({ injection: injectionReport });
+  } else if (request.action === 'getDiagnostics') {
+    sendResponse(getDiagnostics());
+  } else if (request.action === 'clearDiagnostics') {
+    clearLogEntries();
+    sendResponse({ success: true });
+  } else if (request.action === 'setTabSpeedMode') {
+    setTabSpeedMode(request.mode).then(() => {
+      sendResponse({ success: true, currentSpeed: currentSpeed, ...getChannelState() });
+    }).catch(error => {
+      logError('storage', 'Error switching tab speed mode:', error);
+      sendResponse({ success: false });
+    });
+  } else if (request.action === 'rememberChannel') {
+    rememberChannelSpeed().then(() => {
+      sendResponse({ success: !!currentChannel, currentSpeed: currentSpeed, ...getChannelState() });
+    }).catch(error => {
+      logError('storage', 'Error saving channel speed:', error);
+      sendResponse({ success: false });
+    });
+  } else if (request.action === 'forgetChannel') {
+    forgetChannelSpeed().then(() => {
+      sendResponse({ success: !!currentChannel, currentSpeed: currentSpeed, ...getChannelState() });
+    }).catch(error => {
+      logError('storage', 'Error forgetting channel speed:', error);
+      sendResponse({ success: false });
+    });
   }
   return true;
 });
 
 // Listen for storage changes from popup
 chrome.storage.onChanged.addListener((changes, area) => {
+  // Settings synced from another computer are copied into local storage by the background
+  // service worker, and handled below when that local change arrives
+  if (area !== 'local') return;
+  
+  // Speed range or slider settings changed on the options page
+  if (OPTION_KEYS.some(key => changes[key])) {
+    const wasIndependent = isTabIndependent();
+    loadSettings().then(async loaded => {
+      settings = loaded;
+      await handleTabSpeedModeChange(wasIndependent);
+      configureLogger(settings);
+      chapterRules = getChapterRules(settings);
+      updateSliderRange();
+      syncSmartSpeed();
+      syncAdaptiveSpeed();
+      syncChapterRules();
+      syncSpeedHud();
+      if (isShortsPage() && (changes.shortsSpeed || changes.shortsSpeedEnabled)) {
+        applyResolvedSpeed();
+      }
+      // New selectors may find controls the old ones couldn't
+      if (changes.controlsSelectors && injectionReport && injectionReport.status !== 'injected') {
+        reinjectControls();
+      }
+      return loadPresetGroups(settings.minSpeed, settings.maxSpeed);
+    }).then(groups => {
+      presetGroups = groups;
+      refreshPresetButtons();
+    }).catch(error => {
+      logError('storage', 'Error applying changed settings:', error);
+    });
+  }
+  
+  // Presets were edited or restored to defaults
+  if (changes.speedPresets) {
+    loadPresetGroups(settings.minSpeed, settings.maxSpeed).then(groups => {
+      presetGroups = groups;
+      refreshPresetButtons();
+    });
+  }
+  
   // Don't interfere while user is actively using the slider
   if (isSliderActive) return;
   
-  if (area === 'local' && changes.playbackSpeed) {
+  // Independent tabs don't follow speeds picked elsewhere
+  if (isTabIndependent()) return;
+  
+  // A channel profile was added, changed or removed (possibly from another tab)
+  if (changes.channelSpeeds && currentChannel) {
+    applyResolvedSpeed();
+    return;
+  }
+  
+  // Global speed only applies to videos without video memory or a channel profile
+  if (changes.playbackSpeed && speedSource === 'global') {
     const newSpeed = changes.playbackSpeed.newValue;
     if (newSpeed && Math.abs(newSpeed - currentSpeed) > 0.01) {
-      applySpeed(newSpeed, true); // Skip additional save since it came from storage
+      applySpeed(newSpeed, true, false, 'sync'); // Skip additional save since it came from storage
       updateSlider(newSpeed);
       updateActivePreset(newSpeed);
     }
@@ -963,69 +3074,24 @@ chrome.storage.onChanged.addListener((changes, area) => {
 // Handle YouTube navigation
 function handleYouTubeNavigation() {
   // YouTube fires this event when navigation completes
+  // A ramp belongs to the video it was started on
+  if (activeRamp && activeRamp.videoId !== getVideoId()) {
+    stopSpeedRamp();
+  }
+  // So does a loop, and the next video may have a saved one
+  if (activeLoop && activeLoop.videoId !== getVideoId()) {
+    stopAbLoop();
+  }
+  if (savedLoopVideoId !== getVideoId()) {
+    loadSavedLoop();
+  }
+  flushWatchStats();
   reinjectControls();
-}
-
-// Persistent checker to ensure controls are always injected on video pages
-function startPersistentChecker() {
-  let checkCount = 0;
-  console.log('[YT Speed] Starting persistent checker');
-  
-  // More aggressive checking initially (every 500ms for first 30 seconds)
-  // Then back off to every 3 seconds
-  const checker = setInterval(() => {
-    checkCount++;
-    
-    if (isVideoPage() && !document.querySelector('.yt-custom-speed-button')) {
-      const mainPlayer = document.querySelector('#movie_player');
-      const rightControls = findRightControls(mainPlayer);
-      const video = mainPlayer ? mainPlayer.querySelector('video') : null;
-      
-      if (checkCount <= 5 || checkCount % 10 === 0) {
-        console.log('[YT Speed] Check #' + checkCount + ': mainPlayer=' + !!mainPlayer + ', rightControls=' + !!rightControls + ', video=' + !!video);
-      }
-      
-      // Only try to inject if the MAIN player controls are actually present
-      if (mainPlayer && rightControls && video) {
-        console.log('[YT Speed] Found main player controls, injecting...');
-        injectSpeedControls();
-        
-        // Apply saved speed if not already applied
-        if (Math.abs(video.playbackRate - currentSpeed) > 0.01) {
-          applySpeed(currentSpeed);
-        }
-        
-        // Setup monitoring if not already done
-        if (!observer) {
-          setupMutationObserver();
-        }
-      }
-    }
-    
-    // After 30 seconds (60 checks at 500ms), switch to slower checking
-    if (checkCount === 60) {
-      console.log('[YT Speed] Switching to slower checking interval');
-      clearInterval(checker);
-      // Continue with less frequent checks
-      setInterval(() => {
-        if (isVideoPage() && !document.querySelector('.yt-custom-speed-button')) {
-          const mainPlayer = document.querySelector('#movie_player');
-          const rightControls = findRightControls(mainPlayer);
-          const video = mainPlayer ? mainPlayer.querySelector('video') : null;
-          
-          if (mainPlayer && rightControls && video) {
-            injectSpeedControls();
-            if (Math.abs(video.playbackRate - currentSpeed) > 0.01) {
-              applySpeed(currentSpeed);
-            }
-            if (!observer) {
-              setupMutationObserver();
-            }
-          }
-        }
-      }, 3000);
-    }
-  }, 500); // Check every 500ms initially
+  syncAdWatcher();
+  applyChannelProfile();
+  resetSmartSpeedStats();
+  resetAdaptiveSpeed();
+  resetChapters();
 }
 
 // Wait for body to exist before setting up observers
@@ -1046,23 +3112,17 @@ function ensureBodyExists(callback) {
 
 // Initialize
 (async function init() {
-  console.log('[YT Speed] Extension loading...');
-  console.log('[YT Speed] Current URL:', window.location.href);
-  console.log('[YT Speed] Document state:', document.readyState);
-  
-  await loadSavedSpeed();
-  console.log('[YT Speed] Loaded saved speed:', currentSpeed);
-  
-  // Function to start watching for player
-  function startWatching() {
-    // Only start watching if we're on a video page
-    if (isVideoPage()) {
-      console.log('[YT Speed] On video page, starting to watch for player');
-      waitForPlayer();
-    } else {
-      console.log('[YT Speed] Not on video page, URL:', window.location.href);
-    }
-  }
+  logInfo('init', 'Extension loading...');
+  logInfo('init', 'Current URL:', window.location.href);
+  logDebug('init', 'Document state:', document.readyState);
+  
+  await migrateSettings();
+  await loadSavedSettings();
+  logInfo('init', 'Loaded saved speed:', currentSpeed);
+  presetGroups = await loadPresetGroups(settings.minSpeed, settings.maxSpeed);
+  syncSmartSpeed();
+  syncAdaptiveSpeed();
+  registerVideoHooks();
   
   // Function to set up all observers and listeners
   function setupObserversAndListeners() {
@@ -1071,6 +3131,8 @@ function ensureBodyExists(callback) {
     document.addEventListener('yt-navigate-finish', () => {
       if (isVideoPage()) {
         handleYouTubeNavigation();
+      } else {
+        stopPlayerWatcher();
       }
     });
     
@@ -1080,64 +3142,19 @@ function ensureBodyExists(callback) {
       }
     });
     
-    // Listen for when YouTube app becomes ready (fires on initial load)
-    document.addEventListener('yt-navigate-start', () => {
-      if (isVideoPage()) {
-        // Wait a bit for the player to load
-        setTimeout(startWatching, 1000);
-      }
-    });
-    
-    // Also listen for URL changes (backup method)
-    let lastUrl = location.href;
-    new MutationObserver(() => {
-      const currentUrl = location.href;
-      if (currentUrl !== lastUrl) {
-        lastUrl = currentUrl;
-        // Only reinject if we're on a watch page
-        if (currentUrl.includes('/watch')) {
-          reinjectControls();
-        }
-      }
-    }).observe(document, { subtree: true, childList: true });
-    
-    // Additional listener: Watch for video element and controls being added
-    let videoCheckTimeout = null;
-    const videoObserver = new MutationObserver((mutations) => {
-      // Check if controls appeared in the MAIN player
-      if (isVideoPage() && !document.querySelector('.yt-custom-speed-button')) {
-        const mainPlayer = document.querySelector('#movie_player');
-        const rightControls = findRightControls(mainPlayer);
-        const video = mainPlayer ? mainPlayer.querySelector('video') : null;
-        
-        if (mainPlayer && rightControls && video) {
-          // Both main player, controls and video exist, inject immediately
-          if (injectSpeedControls()) {
-            applySpeed(currentSpeed);
-            monitorVideoSpeed();
-            if (!observer) {
-              setupMutationObserver();
-            }
-          }
-        } else if (mainPlayer && video && !speedButton && !videoCheckTimeout) {
-          // Main player and video exist but controls don't yet, wait a bit
-          videoCheckTimeout = setTimeout(() => {
-            waitForPlayer();
-            videoCheckTimeout = null;
-          }, 500); // Reduced from 1000ms to 500ms
-        }
-      }
-    });
-    
-    videoObserver.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
-    
     // Event listeners
     document.addEventListener('fullscreenchange', handleFullscreenChange);
+    // Capture phase so our shortcuts run before YouTube's own key handlers
+    window.addEventListener('keydown', handleShortcutKeydown, true);
     document.addEventListener('click', handleOutsideClick);
     window.addEventListener('resize', handleResize);
+    // Store counted watch time before the tab is closed or hidden
+    window.addEventListener('pagehide', flushWatchStats);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        flushWatchStats();
+      }
+    });
     
     // Global mouseup/touchend to ensure slider flag is cleared even if released outside
     document.addEventListener('mouseup', () => {
@@ -1155,30 +3172,22 @@ function ensureBodyExists(callback) {
   
   // Ensure body exists before proceeding
   ensureBodyExists(() => {
-    // Start watching for player immediately
-    startWatching();
+    // Start watching for the player (it stops by itself on pages without one)
+    resetInjectionReport();
+    startPlayerWatcher();
     
-    // Start the persistent checker (safety net)
-    startPersistentChecker();
+    // Apply the channel profile for the initially loaded video
+    if (isVideoPage()) {
+      applyChannelProfile();
+    }
     
     // Set up all observers and listeners
     setupObserversAndListeners();
     
-    // Wait for page to be fully ready (additional safety)
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', startWatching);
-    }
-    
-    // Also try when window fully loads (for fresh browser starts)
+    // Fresh browser starts can take longer than the search; look again once the page has loaded
     if (document.readyState !== 'complete') {
-      window.addEventListener('load', () => {
-        setTimeout(startWatching, 500);
-      });
+      window.addEventListener('load', startPlayerWatcher);
     }
-    
-    // Try again after a short delay (helps with fresh browser starts)
-    setTimeout(startWatching, 2000);
-    setTimeout(startWatching, 4000);
   });
 })();
 
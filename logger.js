@@ -0,0 +1,86 @@
+// YouTube Custom Speed Control - Diagnostics Log
+// Leveled logger for the content script. Recent entries are kept in a ring buffer that the
+// popup's diagnostics view copies or exports for bug reports; the console only shows them in
+// debug mode (errors always). Loaded after settings.js.
+
+const LOG_BUFFER_SIZE = 300; // Most recent entries kept per tab
+
+const logBuffer = []; // [{ time, level, category, message, count }], oldest first
+let logDebugMode = false; // Echo entries to the console (settings.debugMode)
+let logLevel = 'info'; // Most detailed level kept in debug mode (settings.logLevel)
+
+// Match the logger to the debugMode and logLevel settings
+function configureLogger(settings) {
+  logDebugMode = settings.debugMode;
+  logLevel = settings.logLevel;
+}
+
+// Outside debug mode the buffer keeps info and above, so bug reports always have something
+function isLogLevelEnabled(level) {
+  const limit = logDebugMode ? logLevel : 'info';
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(limit);
+}
+
+// Turn a logged value into text for the buffer
+function formatLogValue(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return value.message;
+  if (value instanceof Element) {
+    return value.tagName.toLowerCase() + (value.id ? '#' + value.id : '') +
+      (value.classList.length > 0 ? '.' + Array.from(value.classList).join('.') : '');
+  }
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+function writeLog(level, category, parts) {
+  if (level !== 'error' && !isLogLevelEnabled(level)) return;
+
+  // A repeat of the previous entry (e.g. the same failed injection) only bumps its count
+  const message = parts.map(formatLogValue).join(' ');
+  const last = logBuffer[logBuffer.length - 1];
+  if (last && last.level === level && last.category === category && last.message === message) {
+    last.count++;
+    last.time = Date.now();
+  } else {
+    logBuffer.push({ time: Date.now(), level: level, category: category, message: message, count: 1 });
+    if (logBuffer.length > LOG_BUFFER_SIZE) {
+      logBuffer.shift();
+    }
+  }
+
+  if (level === 'error') {
+    console.error('[YT Speed]', `[${category}]`, ...parts);
+  } else if (logDebugMode) {
+    console[level === 'debug' ? 'log' : level]('[YT Speed]', `[${category}]`, ...parts);
+  }
+}
+
+// Log at each level; category groups entries (inject, selector, speed, owner, ad, ...)
+function logError(category, ...parts) {
+  writeLog('error', category, parts);
+}
+
+function logWarn(category, ...parts) {
+  writeLog('warn', category, parts);
+}
+
+function logInfo(category, ...parts) {
+  writeLog('info', category, parts);
+}
+
+function logDebug(category, ...parts) {
+  writeLog('debug', category, parts);
+}
+
+// Copy of the buffer for the popup
+function getLogEntries() {
+  return logBuffer.map(entry => Object.assign({}, entry));
+}
+
+function clearLogEntries() {
+  logBuffer.length = 0;
+}
@@ -0,0 +1,403 @@
+// YouTube Custom Speed Control - Options Page Script
+
+// DOM Elements
+const settingInputs = document.querySelectorAll('[data-setting]');
+const saveBtn = document.getElementById('saveBtn');
+const restoreDefaultsBtn = document.getElementById('restoreDefaultsBtn');
+const statusMessageEl = document.getElementById('statusMessage');
+const shortcutRowsEl = document.getElementById('shortcutRows');
+const chapterRuleRowsEl = document.getElementById('chapterRuleRows');
+const addChapterRuleBtn = document.getElementById('addChapterRuleBtn');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFileEl = document.getElementById('importFile');
+const importModeEl = document.getElementById('importMode');
+const importPreviewEl = document.getElementById('importPreview');
+const importPreviewTitleEl = document.getElementById('importPreviewTitle');
+const importDiffEl = document.getElementById('importDiff');
+const applyImportBtn = document.getElementById('applyImportBtn');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const backupStatusEl = document.getElementById('backupStatus');
+const syncStatusEl = document.getElementById('syncStatus');
+const controlsSelectorInputs = document.querySelectorAll('[data-controls-surface]');
+
+let shortcutBindings = getShortcutBindings({}); // Bindings being edited
+let recordingAction = null; // Action waiting for a key press, if any
+let pendingImport = null; // { fileName, settings } read from the chosen file, waiting for Apply
+let pendingImportResult = null; // Settings that applying the import would store
+
+// Show a status or error message below the buttons
+function showStatus(message, isError = false) {
+  statusMessageEl.textContent = message;
+  statusMessageEl.classList.toggle('error', isError);
+}
+
+// Show a status or error message in the backup section
+function showBackupStatus(message, isError = false) {
+  backupStatusEl.textContent = message;
+  backupStatusEl.classList.toggle('error', isError);
+}
+
+// Show when settings last synced and anything that couldn't be
+async function renderSyncStatus() {
+  const status = await loadSetting('syncStatus');
+  const parts = [];
+  if (status.lastSync) {
+    parts.push(`Last synced ${new Date(status.lastSync).toLocaleString()}`);
+  }
+  if (status.error) {
+    parts.push(`Sync failed: ${status.error}`);
+  }
+  if (status.skipped && status.skipped.length > 0) {
+    parts.push(`Too large to sync, kept on this computer: ${status.skipped.join(', ')}`);
+  }
+  syncStatusEl.textContent = parts.join(' \u00b7 ');
+  syncStatusEl.classList.toggle('error', !!status.error);
+}
+
+// Render one row per shortcut action
+function renderShortcutRows() {
+  shortcutRowsEl.innerHTML = '';
+  
+  SHORTCUT_ACTIONS.forEach(action => {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    
+    const label = document.createElement('span');
+    label.className = 'setting-label';
+    label.textContent = action.label;
+    
+    const controls = document.createElement('div');
+    controls.className = 'shortcut-controls';
+    
+    const shortcut = shortcutBindings[action.id];
+    const recordBtn = document.createElement('button');
+    recordBtn.className = 'shortcut-btn';
+    recordBtn.classList.toggle('unset', !shortcut);
+    recordBtn.classList.toggle('recording', recordingAction === action.id);
+    recordBtn.textContent = recordingAction === action.id ? 'Press a key...' : formatShortcut(shortcut);
+    recordBtn.addEventListener('click', () => {
+      recordingAction = recordingAction === action.id ? null : action.id;
+      renderShortcutRows();
+    });
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'shortcut-clear';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => {
+      shortcutBindings[action.id] = '';
+      recordingAction = null;
+      renderShortcutRows();
+    });
+    
+    controls.append(recordBtn, clearBtn);
+    row.append(label, controls);
+    shortcutRowsEl.appendChild(row);
+  });
+}
+
+// Record the next key press for the action being edited
+function handleShortcutRecording(e) {
+  if (!recordingAction) return;
+  
+  const shortcut = getShortcutFromEvent(e);
+  if (!shortcut) return; // Wait for a non-modifier key
+  e.preventDefault();
+  
+  // Escape cancels recording instead of being bound
+  if (shortcut !== 'Escape') {
+    shortcutBindings[recordingAction] = shortcut;
+    const conflicts = findShortcutConflicts(shortcutBindings);
+    showStatus(conflicts.join('. '), conflicts.length > 0);
+  }
+  recordingAction = null;
+  renderShortcutRows();
+}
+
+// Render one editable row per chapter rule
+function renderChapterRuleRows(rules) {
+  chapterRuleRowsEl.innerHTML = '';
+  rules.forEach(rule => addChapterRuleRow(rule));
+}
+
+// Add an editable chapter rule row
+function addChapterRuleRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'setting-row chapter-rule-row';
+  
+  const patternInput = document.createElement('input');
+  patternInput.className = 'setting-input chapter-pattern';
+  patternInput.type = 'text';
+  patternInput.placeholder = 'Chapter title pattern';
+  patternInput.value = rule.pattern;
+  
+  const speedInput = document.createElement('input');
+  speedInput.className = 'setting-input chapter-speed';
+  speedInput.type = 'number';
+  speedInput.step = '0.05';
+  speedInput.value = rule.speed;
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'shortcut-clear';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+  });
+  
+  row.append(patternInput, speedInput, removeBtn);
+  chapterRuleRowsEl.appendChild(row);
+}
+
+// Read the chapter rule rows back into a list of rules
+function readChapterRuleRows() {
+  return Array.from(chapterRuleRowsEl.querySelectorAll('.chapter-rule-row')).map(row => ({
+    pattern: row.querySelector('.chapter-pattern').value,
+    speed: parseFloat(row.querySelector('.chapter-speed').value)
+  }));
+}
+
+// Fill the custom controls selector boxes, one selector per line
+function fillControlsSelectors(customSelectors) {
+  controlsSelectorInputs.forEach(input => {
+    input.value = (customSelectors[input.dataset.controlsSurface] || []).join('\n');
+  });
+}
+
+// Read the selector boxes back into { surface: [selector, ...] }, leaving out empty ones
+function readControlsSelectors() {
+  const customSelectors = {};
+  controlsSelectorInputs.forEach(input => {
+    const selectors = input.value.split('\n').map(line => line.trim()).filter(line => line);
+    if (selectors.length > 0) {
+      customSelectors[input.dataset.controlsSurface] = selectors;
+    }
+  });
+  return customSelectors;
+}
+
+// Fill the form from a settings object
+function fillForm(settings) {
+  settingInputs.forEach(input => {
+    if (input.type === 'checkbox') {
+      input.checked = settings[input.dataset.setting];
+    } else {
+      input.value = settings[input.dataset.setting];
+    }
+  });
+  shortcutBindings = getShortcutBindings(settings.shortcuts);
+  recordingAction = null;
+  renderShortcutRows();
+  renderChapterRuleRows(getChapterRules(settings));
+  fillControlsSelectors(settings.controlsSelectors);
+}
+
+// Read the form back into a settings object
+function readForm() {
+  const values = {};
+  settingInputs.forEach(input => {
+    if (input.type === 'checkbox') {
+      values[input.dataset.setting] = input.checked;
+    } else if (input.tagName === 'SELECT') {
+      values[input.dataset.setting] = input.value;
+    } else {
+      values[input.dataset.setting] = parseFloat(input.value);
+    }
+  });
+  values.shortcuts = Object.assign({}, shortcutBindings);
+  values.chapterRules = readChapterRuleRows();
+  values.controlsSelectors = readControlsSelectors();
+  return values;
+}
+
+// Validate and save the form
+async function saveForm() {
+  const values = readForm();
+  const chapterRules = validateChapterRules(values.chapterRules, values.minSpeed, values.maxSpeed);
+  const errors = validateSettings(values)
+    .concat(findShortcutConflicts(values.shortcuts))
+    .concat(chapterRules.errors)
+    .concat(validateControlsSelectors(values.controlsSelectors));
+  if (errors.length > 0) {
+    showStatus(errors.join('. '), true);
+    return;
+  }
+  values.chapterRules = chapterRules.rules;
+
+  try {
+    // Turning sync on adopts the settings already synced from other computers,
+    // so the form is saved before sync starts pushing
+    const enablingSync = values.syncEnabled && !await loadSetting('syncEnabled');
+    if (enablingSync) {
+      values.syncEnabled = false;
+    }
+    const saveErrors = await saveSettings(values);
+    if (saveErrors.length > 0) {
+      showStatus(saveErrors.join('. '), true);
+      return;
+    }
+    if (enablingSync) {
+      await saveSettings({ syncEnabled: true });
+      await reconcileSyncedSettings();
+      fillForm(await loadSettings());
+      renderSyncStatus();
+      showStatus('Settings saved - sync is on');
+      return;
+    }
+    showStatus('Settings saved');
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showStatus('Could not save settings', true);
+  }
+}
+
+// Download everything stored as a JSON file
+async function exportSettings() {
+  try {
+    const backup = await exportSettingsBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `yt-speed-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    showBackupStatus('Settings exported');
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+    showBackupStatus('Could not export settings', true);
+  }
+}
+
+// Hide the import preview and forget the chosen file
+function clearImport() {
+  pendingImport = null;
+  pendingImportResult = null;
+  importPreviewEl.hidden = true;
+  importFileEl.value = '';
+}
+
+// Show what the pending import would change with the selected mode
+async function renderImportPreview() {
+  if (!pendingImport) return;
+  const mode = importModeEl.value;
+  const current = await loadSettings();
+  const result = buildImportedSettings(current, pendingImport.settings, mode);
+  const errors = validateImportedSettings(result);
+  if (errors.length > 0) {
+    // Keep the file, another mode may still work
+    pendingImportResult = null;
+    importPreviewEl.hidden = true;
+    showBackupStatus(`Can't ${mode} ${pendingImport.fileName}: ${errors.join('. ')}`, true);
+    return;
+  }
+
+  const changes = diffSettings(current, result);
+  pendingImportResult = result;
+  importPreviewTitleEl.textContent = changes.length > 0
+    ? `${mode === 'replace' ? 'Replacing' : 'Merging'} ${pendingImport.fileName} changes ${changes.length} ${changes.length === 1 ? 'setting' : 'settings'}:`
+    : `${pendingImport.fileName} matches your current settings`;
+  importDiffEl.innerHTML = '';
+  changes.forEach(change => {
+    const item = document.createElement('li');
+    const key = document.createElement('span');
+    key.className = 'diff-key';
+    key.textContent = change.key;
+    item.appendChild(key);
+    const detail = change.detail ? ` (${change.detail})` : '';
+    item.appendChild(document.createTextNode(`: ${change.before} \u2192 ${change.after}${detail}`));
+    importDiffEl.appendChild(item);
+  });
+  applyImportBtn.disabled = changes.length === 0;
+  importPreviewEl.hidden = false;
+  showBackupStatus('');
+}
+
+// Read and validate the chosen file, then preview it
+async function readImportFile(file) {
+  clearImport();
+  try {
+    const parsed = parseSettingsBackup(await file.text());
+    if (!parsed.settings) {
+      showBackupStatus(`Can't import ${file.name}: ${parsed.errors.join('. ')}`, true);
+      return;
+    }
+    pendingImport = { fileName: file.name, settings: parsed.settings };
+    await renderImportPreview();
+  } catch (error) {
+    console.error('Error reading settings file:', error);
+    showBackupStatus(`Could not read ${file.name}`, true);
+  }
+}
+
+// Store the previewed import and show the new values in the form
+async function applyImport() {
+  if (!pendingImportResult) return;
+  try {
+    const saveErrors = await saveSettings(pendingImportResult);
+    if (saveErrors.length > 0) {
+      showBackupStatus(saveErrors.join('. '), true);
+      return;
+    }
+    const fileName = pendingImport.fileName;
+    clearImport();
+    fillForm(await loadSettings());
+    showBackupStatus(`Imported ${fileName}`);
+  } catch (error) {
+    console.error('Error importing settings:', error);
+    showBackupStatus('Could not import settings', true);
+  }
+}
+
+// Event Listeners
+
+saveBtn.addEventListener('click', () => {
+  saveForm();
+});
+
+document.addEventListener('keydown', handleShortcutRecording);
+
+addChapterRuleBtn.addEventListener('click', () => {
+  addChapterRuleRow({ pattern: '', speed: 1 });
+});
+
+exportBtn.addEventListener('click', () => {
+  exportSettings();
+});
+
+importBtn.addEventListener('click', () => {
+  importFileEl.click();
+});
+
+importFileEl.addEventListener('change', () => {
+  if (importFileEl.files.length > 0) {
+    readImportFile(importFileEl.files[0]);
+  }
+});
+
+importModeEl.addEventListener('change', () => {
+  renderImportPreview();
+});
+
+applyImportBtn.addEventListener('click', () => {
+  applyImport();
+});
+
+cancelImportBtn.addEventListener('click', () => {
+  clearImport();
+  showBackupStatus('');
+});
+
+restoreDefaultsBtn.addEventListener('click', () => {
+  // Sync is a choice for this computer, not a setting to reset
+  const defaults = getDefaultSettings();
+  defaults.syncEnabled = document.getElementById('syncEnabled').checked;
+  fillForm(defaults);
+  showStatus('Defaults restored - click Save to apply');
+});
+
+// Initialize options page
+(async function init() {
+  await migrateSettings();
+  fillForm(await loadSettings());
+  renderSyncStatus();
+})();
@@ -0,0 +1,219 @@
+// YouTube Custom Speed Control - Speed Ownership
+// Decides who owns the video's playback rate, so the extension knows when to put the
+// user's speed back and when to leave the rate alone (e.g. YouTube's hold for 2x).
+// States:
+//   user      - the video plays at the user's speed
+//   youtube   - YouTube changed the rate itself (hold for 2x, its own menu); left alone until it changes again
+//   ad        - an ad is playing at the ad speed
+//   rule      - a feature (smart speed, adaptive speed, chapter rules, A-B loop) set a temporary speed
+//   restoring - the user's speed is being put back and held until the video plays at it
+// Transitions are driven by calls from content.js and by the video's ratechange,
+// loadstart and playing events. Nothing here touches the DOM or chrome.*, so it can
+// be driven headlessly with a fake video element.
+
+const SPEED_OWNER_STATES = {
+  USER: 'user',
+  YOUTUBE: 'youtube',
+  AD: 'ad',
+  RULE: 'rule',
+  RESTORING: 'restoring'
+};
+
+// Rates closer than this are the same speed
+const SPEED_OWNER_TOLERANCE = 0.01;
+
+// Create the state machine for one page
+// callbacks.onStateChange(state, previousState, reason) - after every transition
+// callbacks.onRestore(speed, reason) - after the rate was put back to the user's speed without being asked
+function createSpeedOwnership(callbacks = {}) {
+  let video = null;
+  let state = SPEED_OWNER_STATES.USER;
+  let userSpeed = 1;
+  let ruleSpeed = null;
+  let ruleSource = null;
+  let youtubeSpeed = null;
+  let adSpeed = null;
+
+  const sameSpeed = (a, b) => Math.abs(a - b) < SPEED_OWNER_TOLERANCE;
+
+  function transition(next, reason) {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    if (callbacks.onStateChange) {
+      callbacks.onStateChange(next, previous, reason);
+    }
+  }
+
+  // Speed the current owner wants the video to play at
+  function getOwnedSpeed() {
+    switch (state) {
+      case SPEED_OWNER_STATES.AD: return adSpeed;
+      case SPEED_OWNER_STATES.RULE: return ruleSpeed;
+      case SPEED_OWNER_STATES.YOUTUBE: return youtubeSpeed;
+      default: return userSpeed;
+    }
+  }
+
+  // Returns whether the rate had to change
+  function setRate(speed) {
+    if (!video || sameSpeed(video.playbackRate, speed)) return false;
+    video.playbackRate = speed;
+    return true;
+  }
+
+  function isPlaying() {
+    return !!video && !video.paused && video.readyState >= 3;
+  }
+
+  function clearTemporary() {
+    ruleSpeed = null;
+    ruleSource = null;
+    youtubeSpeed = null;
+  }
+
+  // Put the user's speed back and hold it until the video plays at it
+  function restore(reason) {
+    clearTemporary();
+    transition(SPEED_OWNER_STATES.RESTORING, reason);
+    if (setRate(userSpeed) && callbacks.onRestore) {
+      callbacks.onRestore(userSpeed, reason);
+    }
+    settleIfPlaying();
+  }
+
+  function settleIfPlaying() {
+    if (state === SPEED_OWNER_STATES.RESTORING && isPlaying() && sameSpeed(video.playbackRate, userSpeed)) {
+      transition(SPEED_OWNER_STATES.USER, 'restored');
+    }
+  }
+
+  // The rate changed: ours (it matches the owner), or YouTube's
+  function handleRateChange() {
+    const rate = video.playbackRate;
+    if (sameSpeed(rate, getOwnedSpeed())) {
+      settleIfPlaying();
+      return;
+    }
+
+    switch (state) {
+      case SPEED_OWNER_STATES.USER:
+      case SPEED_OWNER_STATES.RULE:
+        // YouTube changed it on purpose (e.g. hold for 2x); don't fight it
+        clearTemporary();
+        youtubeSpeed = rate;
+        transition(SPEED_OWNER_STATES.YOUTUBE, 'youtube-changed');
+        break;
+      case SPEED_OWNER_STATES.YOUTUBE:
+        // YouTube's temporary speed ended, either back at the user's speed or at its own default
+        if (sameSpeed(rate, userSpeed)) {
+          clearTemporary();
+          transition(SPEED_OWNER_STATES.USER, 'youtube-ended');
+        } else {
+          restore('youtube-ended');
+        }
+        break;
+      default:
+        // During ads and while restoring, YouTube's resets are undone straight away
+        setRate(getOwnedSpeed());
+    }
+  }
+
+  // A new source (next video, ad starting or ending) resets the rate
+  function handleLoadStart() {
+    if (state === SPEED_OWNER_STATES.AD) {
+      setRate(adSpeed);
+      return;
+    }
+    restore('media-reset');
+  }
+
+  function handlePlaying() {
+    if (state === SPEED_OWNER_STATES.RESTORING) {
+      setRate(userSpeed);
+      settleIfPlaying();
+    }
+  }
+
+  return {
+    // Follow a video element (a new element starts out restoring the user's speed)
+    attach(element) {
+      if (element === video) return;
+      this.detach();
+      video = element;
+      if (!video) return;
+      video.addEventListener('ratechange', handleRateChange);
+      video.addEventListener('loadstart', handleLoadStart);
+      video.addEventListener('playing', handlePlaying);
+      if (state === SPEED_OWNER_STATES.AD) {
+        setRate(adSpeed);
+      } else {
+        restore('new-video');
+      }
+    },
+
+    detach() {
+      if (!video) return;
+      video.removeEventListener('ratechange', handleRateChange);
+      video.removeEventListener('loadstart', handleLoadStart);
+      video.removeEventListener('playing', handlePlaying);
+      video = null;
+    },
+
+    // The user picked a speed (during an ad it's kept for when the ad ends)
+    setUserSpeed(speed) {
+      userSpeed = speed;
+      if (state === SPEED_OWNER_STATES.AD) return;
+      clearTemporary();
+      setRate(speed);
+      // A video that hasn't loaded yet will have its rate reset, so hold the speed until it plays
+      transition(video && video.readyState >= 1 ? SPEED_OWNER_STATES.USER : SPEED_OWNER_STATES.RESTORING, 'user-set');
+    },
+
+    // A feature takes over with a temporary speed (ignored during ads)
+    setRuleSpeed(speed, source) {
+      if (state === SPEED_OWNER_STATES.AD) return;
+      clearTemporary();
+      ruleSpeed = speed;
+      ruleSource = source;
+      transition(SPEED_OWNER_STATES.RULE, source);
+      setRate(speed);
+    },
+
+    startAd(speed) {
+      clearTemporary();
+      adSpeed = speed;
+      transition(SPEED_OWNER_STATES.AD, 'ad-started');
+      setRate(speed);
+    },
+
+    endAd() {
+      if (state !== SPEED_OWNER_STATES.AD) return;
+      adSpeed = null;
+      restore('ad-ended');
+    },
+
+    getState() {
+      return state;
+    },
+
+    getUserSpeed() {
+      return userSpeed;
+    },
+
+    // Feature that set the current temporary speed (null unless the state is rule)
+    getRuleSource() {
+      return state === SPEED_OWNER_STATES.RULE ? ruleSource : null;
+    },
+
+    // Speed someone other than the user set (null while the user's speed applies)
+    getTemporarySpeed() {
+      return state === SPEED_OWNER_STATES.USER || state === SPEED_OWNER_STATES.RESTORING ? null : getOwnedSpeed();
+    }
+  };
+}
+
+// The headless tests (test/ownership.test.js) load this file with require()
+if (typeof module !== 'undefined') {
+  module.exports = { SPEED_OWNER_STATES, createSpeedOwnership };
+}
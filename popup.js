@@ -1,22 +1,83 @@
 // YouTube Custom Speed Control - Popup Script
 
-const PRESET_SPEEDS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 3, 4, 5, 10];
+let settings = getDefaultSettings(); // Speed range, step and slider range (see settings.js)
 let currentSpeed = 1.0;
+let presetGroups = getDefaultPresetGroups(); // Preset buttons shown in the grid (see presets.js)
 let isYouTubeTab = false;
+let channelState = null; // { channel, channelSpeed, speedSource, tabSpeedMode } reported by the content script
+let diagnostics = null; // Last report from the active tab (see getDiagnostics in content.js)
+let injectionRetryTimeout = null;
+let speedRequest = 0; // Counts setSpeed calls, so a retry for an older speed gives way to a newer one
+
+// Pages with a player the content script controls (watch, Shorts, embeds, YouTube Music)
+const YOUTUBE_PLAYER_URL = /^https:\/\/(www\.youtube\.com\/(watch|shorts\/|embed\/)|www\.youtube-nocookie\.com\/embed\/|music\.youtube\.com\/)/;
+
+// Host permissions, used to list YouTube tabs in every window
+const YOUTUBE_TAB_URLS = ['https://www.youtube.com/*', 'https://music.youtube.com/*', 'https://www.youtube-nocookie.com/*'];
+
+// Labels for where the active tab's speed came from
+const SPEED_SOURCE_LABELS = {
+  video: 'Resumed from video memory',
+  channel: 'From channel profile',
+  shorts: 'Shorts default',
+  tab: 'This tab\'s own speed',
+  global: 'Global default'
+};
+
+// What the popup says about the active tab's speed mode
+const TAB_SPEED_MODE_LABELS = {
+  linked: 'Linked: follows the speed set in other tabs',
+  independent: 'Independent: this tab keeps its own speed'
+};
+
+// How long a retry gets to find the player before the status is read again
+const INJECTION_RETRY_DELAY = 2000;
+
+// A loading tab turns setSpeed down until its own speed is applied (the channel lookup
+// takes up to 5 seconds), so the speed is sent again for a while (like background.js does)
+const SPEED_RETRY_INTERVAL = 500;
+const SPEED_RETRY_ATTEMPTS = 14;
 
 // DOM Elements
 const currentSpeedEl = document.getElementById('currentSpeed');
 const speedSlider = document.getElementById('speedSlider');
 const errorMessageEl = document.getElementById('errorMessage');
 const resetBtn = document.getElementById('resetBtn');
-const presetButtons = document.querySelectorAll('.preset-btn');
+const presetGroupsEl = document.getElementById('presetGroups');
+const editPresetsBtn = document.getElementById('editPresetsBtn');
+const presetEditorEl = document.getElementById('presetEditor');
+const presetEditorRowsEl = document.getElementById('presetEditorRows');
+const presetEditorErrorsEl = document.getElementById('presetEditorErrors');
+const channelSectionEl = document.getElementById('channelSection');
+const channelNameEl = document.getElementById('channelName');
+const speedSourceEl = document.getElementById('speedSource');
+const tabModeEl = document.getElementById('tabMode');
+const tabModeTextEl = document.getElementById('tabModeText');
+const tabModeBtn = document.getElementById('tabModeBtn');
+const injectionStatusEl = document.getElementById('injectionStatus');
+const injectionTextEl = document.getElementById('injectionText');
+const retryInjectionBtn = document.getElementById('retryInjectionBtn');
+const statsBtn = document.getElementById('statsBtn');
+const statsViewEl = document.getElementById('statsView');
+const statsHistogramEl = document.getElementById('statsHistogram');
+const statsChannelsEl = document.getElementById('statsChannels');
+const channelBtn = document.getElementById('channelBtn');
+const tabsBtn = document.getElementById('tabsBtn');
+const tabsViewEl = document.getElementById('tabsView');
+const tabListEl = document.getElementById('tabList');
+const allTabsSpeedEl = document.getElementById('allTabsSpeed');
+const tabsStatusEl = document.getElementById('tabsStatus');
+const diagnosticsViewEl = document.getElementById('diagnosticsView');
+const diagnosticsSummaryEl = document.getElementById('diagnosticsSummary');
+const diagnosticsLogEl = document.getElementById('diagnosticsLog');
+const diagnosticsStatusEl = document.getElementById('diagnosticsStatus');
 
 // Check if current tab is YouTube
 async function checkYouTubeTab() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
-    if (tab && tab.url && tab.url.includes('youtube.com/watch')) {
+    if (tab && tab.url && YOUTUBE_PLAYER_URL.test(tab.url)) {
       isYouTubeTab = true;
       errorMessageEl.classList.remove('show');
       return tab;
@@ -45,23 +106,35 @@ async function getCurrentSpeed() {
     if (response && response.currentSpeed) {
       currentSpeed = response.currentSpeed;
       updateDisplay(currentSpeed);
+      updateChannelDisplay(response);
+      updateInjectionDisplay(response.injection);
     }
   } catch (error) {
     // If content script not loaded, try to get from storage
-    try {
-      const result = await chrome.storage.local.get(['playbackSpeed']);
-      if (result.playbackSpeed) {
-        currentSpeed = result.playbackSpeed;
-        updateDisplay(currentSpeed);
-      }
-    } catch (storageError) {
-      console.error('Error loading speed:', storageError);
+    currentSpeed = await loadSetting('playbackSpeed');
+    updateDisplay(currentSpeed);
+  }
+}
+
+// Send setSpeed to a tab until it takes it; returns the last response (success is false
+// if the tab was still loading every time). Throws if the tab has no content script.
+// isCurrent (optional) stops the retries once a newer speed has been picked.
+async function sendSpeedWhenReady(tabId, speed, isCurrent = () => true) {
+  let response = null;
+  for (let attempt = 0; attempt < SPEED_RETRY_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, SPEED_RETRY_INTERVAL));
+      if (!isCurrent()) break;
     }
+    response = await chrome.tabs.sendMessage(tabId, { action: 'setSpeed', speed: speed }, { frameId: 0 });
+    if (response && response.success) break;
   }
+  return response;
 }
 
 // Send speed change to content script
 async function setSpeed(speed) {
+  const request = ++speedRequest;
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
@@ -69,21 +142,27 @@ async function setSpeed(speed) {
       // Still update display and save to storage
       currentSpeed = speed;
       updateDisplay(currentSpeed);
-      await chrome.storage.local.set({ playbackSpeed: speed });
+      await saveSettings({ playbackSpeed: speed });
       return;
     }
     
     try {
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        action: 'setSpeed',
-        speed: speed
-      });
+      const response = await sendSpeedWhenReady(tab.id, speed, () => request === speedRequest);
+      if (request !== speedRequest) return;
       
       if (response && response.success) {
         currentSpeed = response.currentSpeed;
         updateDisplay(currentSpeed);
         return;
       }
+      // The tab answered but never took the speed; saving it as the global speed instead
+      // would change every linked tab (and not this one, if it's independent)
+      if (response) {
+        currentSpeed = response.currentSpeed;
+        updateDisplay(currentSpeed);
+        speedSourceEl.textContent = 'Video still loading, try again';
+        return;
+      }
     } catch (messageError) {
       console.log('Content script not responding, saving to storage:', messageError);
     }
@@ -92,20 +171,122 @@ async function setSpeed(speed) {
     // The content script will pick it up when it loads
     currentSpeed = speed;
     updateDisplay(currentSpeed);
-    await chrome.storage.local.set({ playbackSpeed: speed });
+    await saveSettings({ playbackSpeed: speed });
   } catch (error) {
     console.error('Error setting speed:', error);
     // Still update display and save to storage
     currentSpeed = speed;
     updateDisplay(currentSpeed);
     try {
-      await chrome.storage.local.set({ playbackSpeed: speed });
+      await saveSettings({ playbackSpeed: speed });
     } catch (storageError) {
       console.error('Error saving to storage:', storageError);
     }
   }
 }
 
+// Ask the content script to remember or forget the current channel's speed
+async function toggleChannelSpeed() {
+  if (!channelState || !channelState.channel) return;
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.id) return;
+    
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: channelState.channelSpeed !== null ? 'forgetChannel' : 'rememberChannel'
+    });
+    
+    if (response && response.success) {
+      currentSpeed = response.currentSpeed;
+      updateDisplay(currentSpeed);
+      updateChannelDisplay(response);
+    }
+  } catch (error) {
+    console.error('Error updating channel speed:', error);
+  }
+}
+
+// Update speed source label and channel profile section
+function updateChannelDisplay(state) {
+  channelState = state;
+  speedSourceEl.textContent = SPEED_SOURCE_LABELS[state && state.speedSource] || SPEED_SOURCE_LABELS.global;
+  updateTabModeDisplay(state && state.tabSpeedMode);
+  
+  if (!state || !state.channel) {
+    channelSectionEl.classList.remove('show');
+    return;
+  }
+  
+  const hasChannelSpeed = state.channelSpeed !== null;
+  channelSectionEl.classList.add('show');
+  channelNameEl.textContent = state.channel.name;
+  channelNameEl.title = state.channel.id;
+  channelBtn.textContent = hasChannelSpeed ? 'Forget channel speed' : 'Remember for this channel';
+  channelBtn.classList.toggle('active', hasChannelSpeed);
+}
+
+// Show whether the active tab is linked to the others, with a button to switch
+function updateTabModeDisplay(mode) {
+  tabModeEl.classList.toggle('show', !!mode);
+  if (!mode) return;
+  tabModeTextEl.textContent = TAB_SPEED_MODE_LABELS[mode];
+  tabModeBtn.textContent = mode === 'independent' ? 'Link' : 'Unlink';
+}
+
+// Switch the active tab between linked and independent
+async function toggleTabSpeedMode() {
+  if (!channelState) return;
+  const mode = channelState.tabSpeedMode === 'independent' ? 'linked' : 'independent';
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'setTabSpeedMode', mode: mode });
+    if (response && response.success) {
+      currentSpeed = response.currentSpeed;
+      updateDisplay(currentSpeed);
+      updateChannelDisplay(response);
+    }
+  } catch (error) {
+    console.error('Error changing tab speed mode:', error);
+  }
+}
+
+// Describe a content script injection report (see injectionReport in content.js)
+function describeInjection(report) {
+  if (report.status === 'injected') {
+    return `Controls injected via strategy ${report.strategy}`;
+  }
+  if (report.status === 'failed') {
+    return `Injection failed: ${report.reason || 'no player found'}`;
+  }
+  return report.reason ? `Looking for the player controls… (last: ${report.reason})` : 'Looking for the player controls…';
+}
+
+// Show whether the speed button made it into the player, with a retry when it didn't
+function updateInjectionDisplay(report) {
+  injectionStatusEl.classList.toggle('show', !!report);
+  if (!report) return;
+  
+  injectionTextEl.textContent = describeInjection(report);
+  injectionStatusEl.classList.toggle('failed', report.status === 'failed');
+  retryInjectionBtn.style.display = report.status === 'injected' ? 'none' : '';
+}
+
+// Ask the content script to look for the player controls again
+async function retryInjection() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'retryInjection' });
+    updateInjectionDisplay(response && response.injection);
+  } catch (error) {
+    console.error('Error retrying injection:', error);
+    return;
+  }
+  
+  clearTimeout(injectionRetryTimeout);
+  injectionRetryTimeout = setTimeout(getCurrentSpeed, INJECTION_RETRY_DELAY);
+}
+
 // Update display with current speed
 function updateDisplay(speed) {
   currentSpeedEl.textContent = `${speed.toFixed(1)}x`;
@@ -122,15 +303,498 @@ function updateSliderTooltip(speed) {
   tooltip.textContent = `${speed.toFixed(1)}x`;
   
   // Calculate position based on slider value
-  const percent = ((speed - 0.2) / (10.0 - 0.2)) * 100;
+  const percent = getSliderPercent(speed);
   const thumbWidth = 18;
   const offset = (thumbWidth / 2) * (1 - 2 * percent / 100);
   tooltip.style.left = `calc(${percent}% + ${offset}px)`;
 }
 
+// Render preset groups into the popup grid
+function renderPresetGroups() {
+  presetGroupsEl.innerHTML = '';
+  
+  presetGroups.forEach(group => {
+    const section = document.createElement('div');
+    section.className = 'speed-section';
+    
+    const title = document.createElement('div');
+    title.className = 'section-title';
+    title.textContent = group.label;
+    section.appendChild(title);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'presets';
+    buttons.style.setProperty('--preset-columns', Math.min(group.presets.length, 5));
+    group.presets.forEach(preset => {
+      const btn = document.createElement('button');
+      btn.className = 'preset-btn';
+      btn.dataset.speed = preset.speed;
+      btn.textContent = getPresetLabel(preset);
+      btn.title = formatPresetSpeed(preset.speed);
+      buttons.appendChild(btn);
+    });
+    section.appendChild(buttons);
+    
+    presetGroupsEl.appendChild(section);
+  });
+  
+  updateActivePreset(currentSpeed);
+}
+
+// Turn "1.35, 2.2:Lecture" into preset objects
+function parsePresetList(text) {
+  return text.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const speedText = separator === -1 ? entry : entry.slice(0, separator);
+      const label = separator === -1 ? '' : entry.slice(separator + 1).trim();
+      const speed = parseFloat(speedText.replace(/x$/i, ''));
+      return label ? { speed: speed, label: label } : { speed: speed };
+    });
+}
+
+// Turn preset objects back into editable text
+function formatPresetList(presets) {
+  return presets
+    .map(preset => preset.label ? `${preset.speed}:${preset.label}` : `${preset.speed}`)
+    .join(', ');
+}
+
+// Add one editable group row to the preset editor
+function addPresetEditorRow(group) {
+  const row = document.createElement('div');
+  row.className = 'preset-editor-row';
+  
+  const labelInput = document.createElement('input');
+  labelInput.className = 'preset-editor-input group-label';
+  labelInput.placeholder = 'Group';
+  labelInput.value = group ? group.label : '';
+  
+  const speedsInput = document.createElement('input');
+  speedsInput.className = 'preset-editor-input group-speeds';
+  speedsInput.placeholder = '1.35, 2.2:Lecture';
+  speedsInput.value = group ? formatPresetList(group.presets) : '';
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'preset-editor-remove';
+  removeBtn.setAttribute('aria-label', 'Remove group');
+  removeBtn.textContent = '\u00d7';
+  removeBtn.addEventListener('click', () => row.remove());
+  
+  row.append(labelInput, speedsInput, removeBtn);
+  presetEditorRowsEl.appendChild(row);
+}
+
+// Fill the preset editor from the current presets
+function openPresetEditor() {
+  presetEditorRowsEl.innerHTML = '';
+  presetEditorErrorsEl.textContent = '';
+  presetGroups.forEach(group => addPresetEditorRow(group));
+  presetEditorEl.classList.add('show');
+  editPresetsBtn.textContent = 'Close editor';
+}
+
+// Hide the preset editor without saving
+function closePresetEditor() {
+  presetEditorEl.classList.remove('show');
+  editPresetsBtn.textContent = 'Edit presets';
+}
+
+// Add a labelled bar to one of the stats lists
+function addStatsRow(container, label, percent, value) {
+  const row = document.createElement('div');
+  row.className = 'stats-row';
+  
+  const labelEl = document.createElement('span');
+  labelEl.className = 'stats-row-label';
+  labelEl.textContent = label;
+  labelEl.title = label;
+  
+  const bar = document.createElement('div');
+  bar.className = 'stats-row-bar';
+  const fill = document.createElement('div');
+  fill.className = 'stats-row-fill';
+  fill.style.width = `${Math.max(percent, 1)}%`;
+  bar.appendChild(fill);
+  
+  const valueEl = document.createElement('span');
+  valueEl.className = 'stats-row-value';
+  valueEl.textContent = value;
+  
+  row.append(labelEl, bar, valueEl);
+  container.appendChild(row);
+}
+
+// Show a placeholder in an empty stats list
+function showStatsEmpty(container, message) {
+  const empty = document.createElement('div');
+  empty.className = 'stats-empty';
+  empty.textContent = message;
+  container.appendChild(empty);
+}
+
+// Render the time-saved dashboard
+async function renderStats() {
+  const summary = summarizeWatchStats(await loadWatchStats(), new Date());
+  
+  document.getElementById('statsToday').textContent = formatStatsDuration(summary.today.saved);
+  document.getElementById('statsWeek').textContent = formatStatsDuration(summary.week.saved);
+  document.getElementById('statsAllTime').textContent = formatStatsDuration(summary.allTime.saved);
+  document.getElementById('statsWatched').textContent = summary.allTime.media > 0
+    ? `Watched ${formatStatsDuration(summary.allTime.media)} of video in ${formatStatsDuration(summary.allTime.wall)}`
+    : 'Nothing watched yet';
+  
+  statsHistogramEl.innerHTML = '';
+  if (summary.histogram.length === 0) {
+    showStatsEmpty(statsHistogramEl, 'No speed usage yet');
+  }
+  summary.histogram.forEach(bucket => {
+    addStatsRow(statsHistogramEl, formatPresetSpeed(bucket.speed), bucket.percent, `${Math.round(bucket.percent)}%`);
+  });
+  
+  statsChannelsEl.innerHTML = '';
+  if (summary.topChannels.length === 0) {
+    showStatsEmpty(statsChannelsEl, 'No channels yet');
+  }
+  const mostSaved = summary.topChannels.length > 0 ? summary.topChannels[0].saved : 0;
+  summary.topChannels.forEach(channel => {
+    const percent = mostSaved > 0 ? (channel.saved / mostSaved) * 100 : 0;
+    addStatsRow(statsChannelsEl, channel.name, percent, formatStatsDuration(channel.saved));
+  });
+}
+
+// Show or hide the stats dashboard
+function toggleStats() {
+  const show = !statsViewEl.classList.contains('show');
+  statsViewEl.classList.toggle('show', show);
+  statsBtn.textContent = show ? 'Hide stats' : 'Stats';
+  if (show) {
+    renderStats();
+  }
+}
+
+// Every open tab with a YouTube player, with the state its content script reports
+// (state is null when the content script isn't running, e.g. the tab was open before the extension loaded)
+async function loadYouTubeTabs() {
+  const tabs = (await chrome.tabs.query({ url: YOUTUBE_TAB_URLS })).filter(tab => YOUTUBE_PLAYER_URL.test(tab.url));
+  return Promise.all(tabs.map(async tab => {
+    try {
+      const state = await chrome.tabs.sendMessage(tab.id, { action: 'getTabState' }, { frameId: 0 });
+      return { tab: tab, state: state || null };
+    } catch (error) {
+      return { tab: tab, state: null };
+    }
+  }));
+}
+
+function showTabsStatus(message) {
+  tabsStatusEl.textContent = message;
+}
+
+// Add one tab's row: play state, title (click to switch to it) and its speed
+function addTabRow(entry, activeTabId) {
+  const { tab, state } = entry;
+  const row = document.createElement('div');
+  row.className = 'tab-row';
+  row.classList.toggle('current', tab.id === activeTabId);
+  
+  const stateEl = document.createElement('span');
+  stateEl.className = 'tab-state';
+  if (state && state.hasVideo) {
+    stateEl.textContent = state.paused ? '❚❚' : '▶';
+    stateEl.title = state.adPlaying ? 'Ad playing' : (state.paused ? 'Paused' : 'Playing');
+  }
+  
+  const titleEl = document.createElement('button');
+  titleEl.className = 'tab-title';
+  titleEl.textContent = (state && state.title) || tab.title || tab.url;
+  titleEl.title = 'Switch to this tab';
+  titleEl.addEventListener('click', () => focusTab(tab));
+  
+  row.append(stateEl, titleEl);
+  
+  if (state && state.tabSpeedMode === 'independent') {
+    const modeEl = document.createElement('span');
+    modeEl.className = 'tab-mode-badge';
+    modeEl.textContent = 'own';
+    modeEl.title = TAB_SPEED_MODE_LABELS.independent;
+    row.appendChild(modeEl);
+  }
+  
+  if (state) {
+    const speedEl = document.createElement('input');
+    speedEl.type = 'number';
+    speedEl.className = 'tab-speed';
+    speedEl.step = settings.speedStep;
+    speedEl.min = settings.minSpeed;
+    speedEl.max = settings.maxSpeed;
+    speedEl.value = state.currentSpeed;
+    speedEl.setAttribute('aria-label', 'Speed');
+    speedEl.addEventListener('change', () => setTabSpeed(tab.id, parseFloat(speedEl.value)));
+    row.appendChild(speedEl);
+  } else {
+    const unavailableEl = document.createElement('span');
+    unavailableEl.className = 'tab-unavailable';
+    unavailableEl.textContent = 'Reload tab';
+    unavailableEl.title = 'The extension isn\'t running in this tab yet';
+    row.appendChild(unavailableEl);
+  }
+  
+  tabListEl.appendChild(row);
+}
+
+// List every YouTube tab
+async function renderTabList() {
+  let entries = [];
+  let activeTabId = null;
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    activeTabId = activeTab ? activeTab.id : null;
+    entries = await loadYouTubeTabs();
+  } catch (error) {
+    console.error('Error listing YouTube tabs:', error);
+  }
+  
+  tabListEl.innerHTML = '';
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'tabs-empty';
+    empty.textContent = 'No YouTube videos open';
+    tabListEl.appendChild(empty);
+  }
+  entries.forEach(entry => addTabRow(entry, activeTabId));
+}
+
+// Send a speed to one tab's content script; returns whether the tab took it
+async function sendTabSpeed(tabId, speed) {
+  try {
+    const response = await sendSpeedWhenReady(tabId, speed);
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (response && response.success && activeTab && activeTab.id === tabId) {
+      currentSpeed = response.currentSpeed;
+      updateDisplay(currentSpeed);
+      updateChannelDisplay(response);
+    }
+    return !!(response && response.success);
+  } catch (error) {
+    console.error('Error setting tab speed:', error);
+    return false;
+  }
+}
+
+// Set one tab's speed through its content script
+async function setTabSpeed(tabId, speed) {
+  if (!isValidSpeed(speed, settings)) {
+    showTabsStatus(`Speed must be between ${settings.minSpeed}x and ${settings.maxSpeed}x`);
+    renderTabList();
+    return;
+  }
+  showTabsStatus('');
+  
+  if (!await sendTabSpeed(tabId, parseFloat(speed.toFixed(2)))) {
+    showTabsStatus('Could not reach that tab, try reloading it');
+  }
+  renderTabList();
+}
+
+// Set the same speed in every YouTube tab. Each tab is set directly, since tabs playing at a
+// channel profile or a remembered video speed don't follow the saved speed; it's also saved
+// so tabs opened later start at it.
+async function applySpeedToAllTabs() {
+  let speed = parseFloat(allTabsSpeedEl.value);
+  if (!isValidSpeed(speed, settings)) {
+    showTabsStatus(`Speed must be between ${settings.minSpeed}x and ${settings.maxSpeed}x`);
+    return;
+  }
+  showTabsStatus('');
+  speed = parseFloat(speed.toFixed(2));
+  
+  try {
+    await saveSettings({ playbackSpeed: speed });
+    const entries = (await loadYouTubeTabs()).filter(entry => entry.state);
+    const results = await Promise.all(entries.map(entry => sendTabSpeed(entry.tab.id, speed)));
+    if (results.includes(false)) {
+      showTabsStatus('Some tabs could not be reached, try reloading them');
+    }
+  } catch (error) {
+    console.error('Error applying speed to all tabs:', error);
+  }
+  renderTabList();
+}
+
+// Switch to a tab (and its window)
+async function focusTab(tab) {
+  try {
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.error('Error switching to tab:', error);
+  }
+}
+
+// Show or hide the tab list
+function toggleTabs() {
+  const show = !tabsViewEl.classList.contains('show');
+  tabsViewEl.classList.toggle('show', show);
+  tabsBtn.textContent = show ? 'Hide tabs' : 'Tabs';
+  if (show) {
+    allTabsSpeedEl.step = settings.speedStep;
+    allTabsSpeedEl.min = settings.minSpeed;
+    allTabsSpeedEl.max = settings.maxSpeed;
+    allTabsSpeedEl.value = currentSpeed;
+    showTabsStatus('');
+    renderTabList();
+  }
+}
+
+// One line of the diagnostics log
+function formatLogEntry(entry) {
+  const time = new Date(entry.time).toISOString().slice(11, 23);
+  const count = entry.count > 1 ? ` (x${entry.count})` : '';
+  return `${time} ${entry.level.toUpperCase().padEnd(5)} [${entry.category}] ${entry.message}${count}`;
+}
+
+// The whole report as text, for pasting into a bug report
+function formatDiagnosticsReport(report) {
+  const videoRate = report.videoRate === null ? 'no video' : `${report.videoRate}x`;
+  return [
+    'YouTube Custom Speed Control diagnostics',
+    `Version: ${chrome.runtime.getManifest().version}`,
+    `Created: ${new Date().toISOString()}`,
+    `Browser: ${navigator.userAgent}`,
+    `Page: ${report.url}`,
+    `Surface: ${report.surface || 'none'}`,
+    `Speed: ${report.currentSpeed}x (${report.speedSource}, ${report.tabSpeedMode} tab), video playing at ${videoRate}`,
+    `Speed owner: ${report.speedOwner}`,
+    `Controls injected: ${report.controlsInjected ? 'yes' : 'no'}, player watched: ${report.playerWatched ? 'yes' : 'no'}`,
+    `Injection: ${report.injection ? `${describeInjection(report.injection)} (${report.injection.attempts} attempts)` : 'not started'}`,
+    `Ad playing: ${report.adPlaying ? 'yes' : 'no'}`,
+    `Debug mode: ${report.debugMode ? 'on' : 'off'}`,
+    '',
+    ...report.entries.map(formatLogEntry)
+  ].join('\n');
+}
+
+function showDiagnosticsStatus(message) {
+  diagnosticsStatusEl.textContent = message;
+  setTimeout(() => {
+    if (diagnosticsStatusEl.textContent === message) {
+      diagnosticsStatusEl.textContent = '';
+    }
+  }, 2000);
+}
+
+// Show the active tab's recent log
+function renderDiagnostics() {
+  diagnosticsLogEl.innerHTML = '';
+  if (!diagnostics) {
+    diagnosticsSummaryEl.textContent = 'Open a YouTube video to see its diagnostics';
+    return;
+  }
+  
+  diagnosticsSummaryEl.textContent = `Speed owner: ${diagnostics.speedOwner} · ` +
+    `Controls: ${diagnostics.controlsInjected ? 'injected' : 'missing'} · ` +
+    `Debug mode: ${diagnostics.debugMode ? 'on' : 'off (info and above)'}`;
+  if (diagnostics.entries.length === 0) {
+    diagnosticsLogEl.textContent = 'Nothing logged yet';
+    return;
+  }
+  diagnostics.entries.forEach(entry => {
+    const line = document.createElement('div');
+    line.className = `log-${entry.level}`;
+    line.textContent = formatLogEntry(entry);
+    diagnosticsLogEl.appendChild(line);
+  });
+  // Newest entries are at the bottom
+  diagnosticsLogEl.scrollTop = diagnosticsLogEl.scrollHeight;
+}
+
+// Fetch the diagnostics report from the active tab's content script
+async function loadDiagnostics() {
+  diagnostics = null;
+  if (isYouTubeTab) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      diagnostics = await chrome.tabs.sendMessage(tab.id, { action: 'getDiagnostics' }) || null;
+    } catch (error) {
+      // The content script isn't running in this tab (e.g. it was open before the extension loaded)
+      diagnostics = null;
+    }
+  }
+  renderDiagnostics();
+}
+
+// Show or hide the diagnostics view
+function toggleDiagnostics() {
+  const show = !diagnosticsViewEl.classList.contains('show');
+  diagnosticsViewEl.classList.toggle('show', show);
+  if (show) {
+    loadDiagnostics();
+  }
+}
+
+async function copyDiagnostics() {
+  if (!diagnostics) return;
+  try {
+    await navigator.clipboard.writeText(formatDiagnosticsReport(diagnostics));
+    showDiagnosticsStatus('Copied to the clipboard');
+  } catch (error) {
+    console.error('Error copying diagnostics:', error);
+    showDiagnosticsStatus('Could not copy, try Export instead');
+  }
+}
+
+function exportDiagnostics() {
+  if (!diagnostics) return;
+  const blob = new Blob([formatDiagnosticsReport(diagnostics)], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `yt-speed-diagnostics-${new Date().toISOString().slice(0, 10)}.txt`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function clearDiagnostics() {
+  if (!diagnostics) return;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await chrome.tabs.sendMessage(tab.id, { action: 'clearDiagnostics' });
+  } catch (error) {
+    console.error('Error clearing diagnostics:', error);
+  }
+  loadDiagnostics();
+}
+
+// Read the editor rows back into preset groups
+function readPresetEditor() {
+  return Array.from(presetEditorRowsEl.querySelectorAll('.preset-editor-row')).map(row => ({
+    label: row.querySelector('.group-label').value,
+    presets: parsePresetList(row.querySelector('.group-speeds').value)
+  }));
+}
+
+// Get a speed's position on the slider as a percentage (clamped to the slider range)
+function getSliderPercent(speed) {
+  const percent = ((speed - settings.sliderMin) / (settings.sliderMax - settings.sliderMin)) * 100;
+  return Math.min(Math.max(percent, 0), 100);
+}
+
+// Apply the configured slider range and step
+function updateSliderRange() {
+  speedSlider.min = settings.sliderMin;
+  speedSlider.max = settings.sliderMax;
+  speedSlider.step = settings.speedStep;
+  document.getElementById('sliderMinLabel').textContent = `${settings.sliderMin}x`;
+  document.getElementById('sliderMaxLabel').textContent = `${settings.sliderMax}x`;
+  updateDisplay(currentSpeed);
+}
+
 // Update active preset button
 function updateActivePreset(speed) {
-  presetButtons.forEach(btn => {
+  presetGroupsEl.querySelectorAll('.preset-btn').forEach(btn => {
     const btnSpeed = parseFloat(btn.dataset.speed);
     if (Math.abs(btnSpeed - speed) < 0.01) {
       btn.classList.add('active');
@@ -142,12 +806,12 @@ function updateActivePreset(speed) {
 
 // Event Listeners
 
-// Preset buttons
-presetButtons.forEach(btn => {
-  btn.addEventListener('click', () => {
-    const speed = parseFloat(btn.dataset.speed);
-    setSpeed(speed);
-  });
+// Preset buttons (delegated so re-rendered presets keep working)
+presetGroupsEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('.preset-btn');
+  if (!btn) return;
+  const speed = parseFloat(btn.dataset.speed);
+  setSpeed(speed);
 });
 
 // Slider
@@ -177,57 +841,182 @@ resetBtn.addEventListener('click', () => {
   setSpeed(1.0);
 });
 
+// Stats dashboard
+statsBtn.addEventListener('click', () => {
+  toggleStats();
+});
+
+document.getElementById('resetStatsBtn').addEventListener('click', async () => {
+  if (!confirm('Reset all watch statistics? This cannot be undone.')) return;
+  try {
+    // The background worker stores the stats, so the reset goes through it too (see stats.js)
+    await chrome.runtime.sendMessage({ action: 'resetWatchStats' });
+    renderStats();
+  } catch (error) {
+    console.error('Error resetting stats:', error);
+  }
+});
+
+// Tab list
+tabsBtn.addEventListener('click', toggleTabs);
+document.getElementById('applyAllTabsBtn').addEventListener('click', applySpeedToAllTabs);
+
+// Preset editor
+editPresetsBtn.addEventListener('click', () => {
+  if (presetEditorEl.classList.contains('show')) {
+    closePresetEditor();
+  } else {
+    openPresetEditor();
+  }
+});
+
+document.getElementById('addPresetGroupBtn').addEventListener('click', () => {
+  addPresetEditorRow(null);
+});
+
+document.getElementById('savePresetsBtn').addEventListener('click', async () => {
+  try {
+    const result = await savePresetGroups(readPresetEditor(), settings.minSpeed, settings.maxSpeed);
+    if (result.errors.length > 0) {
+      presetEditorErrorsEl.textContent = result.errors.join('. ');
+      return;
+    }
+    closePresetEditor();
+  } catch (error) {
+    console.error('Error saving presets:', error);
+    presetEditorErrorsEl.textContent = 'Could not save presets';
+  }
+});
+
+document.getElementById('restorePresetsBtn').addEventListener('click', async () => {
+  try {
+    await restoreDefaultPresets();
+    presetGroups = getDefaultPresetGroups();
+    openPresetEditor();
+  } catch (error) {
+    console.error('Error restoring presets:', error);
+  }
+});
+
+// Options page link
+document.getElementById('openOptions').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// Diagnostics view
+document.getElementById('diagnosticsLink').addEventListener('click', (e) => {
+  e.preventDefault();
+  toggleDiagnostics();
+});
+document.getElementById('copyDiagnosticsBtn').addEventListener('click', copyDiagnostics);
+document.getElementById('exportDiagnosticsBtn').addEventListener('click', exportDiagnostics);
+document.getElementById('clearDiagnosticsBtn').addEventListener('click', clearDiagnostics);
+
+// Tab speed mode
+tabModeBtn.addEventListener('click', toggleTabSpeedMode);
+
+// Injection status retry
+retryInjectionBtn.addEventListener('click', retryInjection);
+
+// Channel profile button
+channelBtn.addEventListener('click', () => {
+  toggleChannelSpeed();
+});
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
   if (!isYouTubeTab) return;
   
+  // Let the preset editor inputs receive typed keys
+  if (e.target.tagName === 'INPUT' && e.target.type !== 'range') return;
+  
   // Arrow keys to adjust speed
   if (e.key === 'ArrowUp') {
     e.preventDefault();
-    const newSpeed = Math.min(10.0, currentSpeed + 0.2);
-    setSpeed(parseFloat(newSpeed.toFixed(1)));
+    const newSpeed = Math.min(settings.maxSpeed, currentSpeed + settings.speedStep);
+    setSpeed(parseFloat(newSpeed.toFixed(2)));
   } else if (e.key === 'ArrowDown') {
     e.preventDefault();
-    const newSpeed = Math.max(0.2, currentSpeed - 0.2);
-    setSpeed(parseFloat(newSpeed.toFixed(1)));
+    const newSpeed = Math.max(settings.minSpeed, currentSpeed - settings.speedStep);
+    setSpeed(parseFloat(newSpeed.toFixed(2)));
   } else if (e.key === 'r' || e.key === 'R') {
     e.preventDefault();
     setSpeed(1.0);
   }
   
   // Number keys for presets
+  const presets = flattenPresetGroups(presetGroups);
   const numKey = parseInt(e.key);
-  if (numKey >= 1 && numKey <= PRESET_SPEEDS.length) {
+  if (numKey >= 1 && numKey <= presets.length) {
     e.preventDefault();
-    setSpeed(PRESET_SPEEDS[numKey - 1]);
+    setSpeed(presets[numKey - 1].speed);
   }
 });
 
 // Initialize popup
 (async function init() {
+  await migrateSettings();
+  settings = await loadSettings();
+  updateSliderRange();
+  presetGroups = await loadPresetGroups(settings.minSpeed, settings.maxSpeed);
+  renderPresetGroups();
+  
   await checkYouTubeTab();
   
   if (isYouTubeTab) {
     await getCurrentSpeed();
   } else {
     // Still load from storage to show last used speed
-    try {
-      const result = await chrome.storage.local.get(['playbackSpeed']);
-      if (result.playbackSpeed) {
-        currentSpeed = result.playbackSpeed;
-        updateDisplay(currentSpeed);
-      }
-    } catch (error) {
-      console.error('Error loading from storage:', error);
-    }
+    currentSpeed = settings.playbackSpeed;
+    updateDisplay(currentSpeed);
   }
 })();
 
 // Listen for storage changes
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'local' && changes.playbackSpeed) {
+  // Settings synced from another computer are copied into local storage by the background
+  // service worker, and handled below when that local change arrives
+  if (area !== 'local') return;
+  
+  // Speed range or slider settings changed on the options page
+  if (OPTION_KEYS.some(key => changes[key])) {
+    loadSettings().then(loaded => {
+      settings = loaded;
+      updateSliderRange();
+      return loadPresetGroups(settings.minSpeed, settings.maxSpeed);
+    }).then(groups => {
+      presetGroups = groups;
+      renderPresetGroups();
+    });
+  }
+  
+  if (changes.speedPresets) {
+    loadPresetGroups(settings.minSpeed, settings.maxSpeed).then(groups => {
+      presetGroups = groups;
+      renderPresetGroups();
+    });
+  }
+  
+  if (changes.playbackSpeed && (!channelState || channelState.speedSource === 'global')) {
     currentSpeed = changes.playbackSpeed.newValue;
     updateDisplay(currentSpeed);
   }
+  
+  // Other tabs follow the global speed, so the tab list may be out of date
+  if ((changes.playbackSpeed || changes.channelSpeeds) && tabsViewEl.classList.contains('show') &&
+      !tabListEl.contains(document.activeElement)) {
+    renderTabList();
+  }
+  
+  // Watch time was recorded while the dashboard is open
+  if (changes.watchStats && statsViewEl.classList.contains('show')) {
+    renderStats();
+  }
+  
+  // Channel profiles or video memory changed (possibly from the in-player panel)
+  if ((changes.channelSpeeds || changes.videoSpeeds) && isYouTubeTab) {
+    getCurrentSpeed();
+  }
 });
 
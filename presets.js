@@ -0,0 +1,115 @@
+// YouTube Custom Speed Control - Shared Speed Presets
+// Loaded after settings.js and before content.js and popup.js so both render the same preset list
+
+const DEFAULT_PRESET_GROUPS = [
+  { label: 'Slow', presets: [{ speed: 0.25 }, { speed: 0.5 }, { speed: 0.75 }] },
+  { label: 'Normal', presets: [{ speed: 1 }, { speed: 1.25 }, { speed: 1.5 }, { speed: 1.75 }, { speed: 2 }] },
+  { label: 'Fast', presets: [{ speed: 3 }, { speed: 4 }, { speed: 5 }, { speed: 10 }] }
+];
+const MAX_PRESET_GROUPS = 6;
+const MAX_PRESETS_PER_GROUP = 8;
+const MAX_PRESET_LABEL_LENGTH = 16;
+
+// Copy the default groups so callers can't modify them by accident
+function getDefaultPresetGroups() {
+  return JSON.parse(JSON.stringify(DEFAULT_PRESET_GROUPS));
+}
+
+// Format a speed the way preset buttons show it (e.g. 1.35x)
+function formatPresetSpeed(speed) {
+  return `${parseFloat(speed.toFixed(2))}x`;
+}
+
+// Get the text shown on a preset button
+function getPresetLabel(preset) {
+  return preset.label || formatPresetSpeed(preset.speed);
+}
+
+// Validate preset groups against the allowed speed range
+// Returns { groups, errors } where groups is a cleaned-up copy (null if invalid)
+function validatePresetGroups(groups, minSpeed, maxSpeed) {
+  const errors = [];
+
+  if (!Array.isArray(groups) || groups.length === 0) {
+    return { groups: null, errors: ['Add at least one preset group'] };
+  }
+  if (groups.length > MAX_PRESET_GROUPS) {
+    errors.push(`Use at most ${MAX_PRESET_GROUPS} groups`);
+  }
+
+  const seenSpeeds = new Set();
+  const cleanGroups = groups.map((group, groupIndex) => {
+    const groupName = `Group ${groupIndex + 1}`;
+    const label = group && typeof group.label === 'string' ? group.label.trim() : '';
+    const presets = group && Array.isArray(group.presets) ? group.presets : [];
+
+    if (!label) {
+      errors.push(`${groupName} needs a name`);
+    } else if (label.length > MAX_PRESET_LABEL_LENGTH) {
+      errors.push(`${groupName} name is longer than ${MAX_PRESET_LABEL_LENGTH} characters`);
+    }
+    if (presets.length === 0) {
+      errors.push(`${label || groupName} has no speeds`);
+    } else if (presets.length > MAX_PRESETS_PER_GROUP) {
+      errors.push(`${label || groupName} has more than ${MAX_PRESETS_PER_GROUP} speeds`);
+    }
+
+    const cleanPresets = presets.map(preset => {
+      const speed = preset ? preset.speed : undefined;
+      const presetLabel = preset && typeof preset.label === 'string' ? preset.label.trim() : '';
+
+      if (typeof speed !== 'number' || isNaN(speed) || speed < minSpeed || speed > maxSpeed) {
+        errors.push(`${label || groupName}: ${speed} is not between ${minSpeed}x and ${maxSpeed}x`);
+        return null;
+      }
+
+      const rounded = Math.round(speed * 100) / 100;
+      if (seenSpeeds.has(rounded)) {
+        errors.push(`${formatPresetSpeed(rounded)} is listed more than once`);
+      }
+      seenSpeeds.add(rounded);
+
+      if (presetLabel.length > MAX_PRESET_LABEL_LENGTH) {
+        errors.push(`Label "${presetLabel}" is longer than ${MAX_PRESET_LABEL_LENGTH} characters`);
+      }
+
+      return presetLabel ? { speed: rounded, label: presetLabel } : { speed: rounded };
+    });
+
+    return { label: label, presets: cleanPresets };
+  });
+
+  return { groups: errors.length === 0 ? cleanGroups : null, errors: errors };
+}
+
+// Flatten groups into the ordered list used for number-key shortcuts
+function flattenPresetGroups(groups) {
+  return groups.reduce((all, group) => all.concat(group.presets), []);
+}
+
+// Load preset groups from storage, falling back to defaults if missing or invalid
+async function loadPresetGroups(minSpeed, maxSpeed) {
+  const storedPresets = await loadSetting('speedPresets');
+  if (storedPresets) {
+    const validated = validatePresetGroups(storedPresets, minSpeed, maxSpeed);
+    if (validated.groups) {
+      return validated.groups;
+    }
+    logSettingsEvent('warn', 'storage', 'Ignoring invalid stored presets:', validated.errors);
+  }
+  return getDefaultPresetGroups();
+}
+
+// Save preset groups after validating them
+async function savePresetGroups(groups, minSpeed, maxSpeed) {
+  const validated = validatePresetGroups(groups, minSpeed, maxSpeed);
+  if (validated.groups) {
+    await saveSettings({ speedPresets: validated.groups });
+  }
+  return validated;
+}
+
+// Clear custom presets so everything falls back to the defaults
+async function restoreDefaultPresets() {
+  await saveSettings({ speedPresets: null });
+}
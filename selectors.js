@@ -0,0 +1,100 @@
+// YouTube Custom Speed Control - Controls Selector Strategies
+// Ordered ways of finding where the speed button goes on each surface. Strategies are
+// plain data, and selectors saved in the controlsSelectors setting are tried before the
+// built-in ones, so a YouTube layout change can be worked around without a new build.
+// Loaded after settings.js by the content script and the options page.
+
+// { name, selector } takes the first match inside the search root (the player, or the
+// active short). With buttonHints it takes the first match holding a button whose class
+// or label mentions one of the hints instead.
+const PLAYER_BAR_STRATEGIES = [
+  { name: 'right-controls', selector: '.ytp-right-controls' },
+  { name: 'chrome-right-controls', selector: '.ytp-chrome-controls .ytp-right-controls' },
+  { name: 'right-controls-class', selector: '[class*="right-controls"]' },
+  { name: 'settings-button-group', selector: '.ytp-chrome-controls div[class*="controls"]', buttonHints: ['settings', 'fullscreen'] }
+];
+
+const CONTROLS_STRATEGIES = {
+  watch: PLAYER_BAR_STRATEGIES,
+  shorts: [
+    { name: 'shorts-actions', selector: '#actions' },
+    { name: 'reel-action-bar', selector: 'reel-action-bar-view-model' }
+  ],
+  embed: PLAYER_BAR_STRATEGIES,
+  music: [
+    { name: 'music-right-controls-buttons', selector: '.right-controls-buttons' },
+    { name: 'music-right-controls-id', selector: '#right-controls' },
+    { name: 'music-right-controls', selector: '.right-controls' }
+  ]
+};
+
+// Surfaces custom selectors can be saved for
+const CONTROLS_SURFACES = Object.keys(CONTROLS_STRATEGIES);
+
+// Most custom selectors kept per surface
+const MAX_CUSTOM_SELECTORS = 10;
+
+// Strategies for a surface: the user's own selectors first, then the built-in ones
+function getControlsStrategies(surface, customSelectors) {
+  const custom = (customSelectors && customSelectors[surface]) || [];
+  return custom
+    .map((selector, index) => ({ name: `custom-${index + 1}`, selector: selector }))
+    .concat(CONTROLS_STRATEGIES[surface] || CONTROLS_STRATEGIES.watch);
+}
+
+// Run one strategy inside root (null if it finds nothing, or its selector is invalid)
+function runControlsStrategy(strategy, root) {
+  try {
+    if (!strategy.buttonHints) {
+      return root.querySelector(strategy.selector);
+    }
+    return Array.from(root.querySelectorAll(strategy.selector)).find(container =>
+      Array.from(container.querySelectorAll('button')).some(button => {
+        const text = (button.className + ' ' + (button.getAttribute('aria-label') || '')).toLowerCase();
+        return strategy.buttonHints.some(hint => text.includes(hint));
+      })
+    ) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Try strategies in order; returns { element, strategy } of the first that finds something
+function findControls(root, strategies) {
+  for (const strategy of strategies) {
+    const element = runControlsStrategy(strategy, root);
+    if (element) {
+      return { element: element, strategy: strategy };
+    }
+  }
+  return { element: null, strategy: null };
+}
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check custom selectors ({ surface: [selector, ...] }); returns error messages
+function validateControlsSelectors(customSelectors) {
+  const errors = [];
+  Object.keys(customSelectors).forEach(surface => {
+    const selectors = customSelectors[surface];
+    if (!CONTROLS_SURFACES.includes(surface)) {
+      errors.push(`Unknown player surface "${surface}"`);
+    } else if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string')) {
+      errors.push(`Selectors for ${surface} must be a list of text`);
+    } else if (selectors.length > MAX_CUSTOM_SELECTORS) {
+      errors.push(`At most ${MAX_CUSTOM_SELECTORS} selectors per surface`);
+    } else {
+      selectors.filter(selector => !isValidSelector(selector)).forEach(selector => {
+        errors.push(`"${selector}" is not a valid CSS selector`);
+      });
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,301 @@
+// YouTube Custom Speed Control - Settings
+// Single source of truth for everything stored in chrome.storage.local.
+// Loaded before the scripts that use it by content.js, popup.html and options.html,
+// always followed by sync.js, which mirrors some keys to chrome.storage.sync.
+
+// Bump this and add a migration below whenever stored data changes shape
+const SETTINGS_VERSION = 1;
+
+// Limits the browser itself puts on HTMLMediaElement.playbackRate
+const BROWSER_MIN_SPEED = 0.0625;
+const BROWSER_MAX_SPEED = 16;
+
+// Corners of the player the speed HUD can sit in
+const HUD_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// What happens while an ad plays: keep 1x, play at adSpeed, or mute (at 1x)
+const AD_MODES = ['normal', 'speed', 'mute'];
+
+// Whether a tab follows the speed picked in other tabs, or keeps its own
+const TAB_SPEED_MODES = ['linked', 'independent'];
+
+// Diagnostics log levels, most severe first (see logger.js)
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Every stored key with its type, default value and allowed range (or values, for strings)
+const SETTINGS_SCHEMA = {
+  settingsVersion: { type: 'number', default: SETTINGS_VERSION },
+  playbackSpeed: { type: 'number', default: 1.0, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED },
+  minSpeed: { type: 'number', default: 0.2, min: BROWSER_MIN_SPEED, max: 1 },
+  maxSpeed: { type: 'number', default: 10.0, min: 2, max: BROWSER_MAX_SPEED },
+  speedStep: { type: 'number', default: 0.2, min: 0.05, max: 1 },
+  sliderMin: { type: 'number', default: 0.2, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED },
+  sliderMax: { type: 'number', default: 10.0, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED },
+  speedPresets: { type: 'array', default: null }, // null means the built-in presets (see presets.js)
+  channelSpeeds: { type: 'object', default: {} },
+  videoSpeeds: { type: 'object', default: {} },
+  watchStats: { type: 'object', default: {} }, // Time saved and speed usage (see stats.js)
+  shortcutsEnabled: { type: 'boolean', default: true },
+  shortcuts: { type: 'object', default: {} }, // Overrides of DEFAULT_SHORTCUTS (see shortcuts.js)
+  smartSpeedEnabled: { type: 'boolean', default: false },
+  smartSpeedThreshold: { type: 'number', default: -50, min: -90, max: -10 }, // dBFS counted as silence
+  smartSpeedMinSilence: { type: 'number', default: 500, min: 100, max: 5000 }, // ms of silence before boosting
+  smartSpeedBoost: { type: 'number', default: 4, min: 1, max: BROWSER_MAX_SPEED }, // Speed used during silence
+  adaptiveSpeedEnabled: { type: 'boolean', default: false },
+  adaptiveTargetWpm: { type: 'number', default: 300, min: 60, max: 1000 }, // Effective words per minute to aim for
+  adaptiveMinSpeed: { type: 'number', default: 1, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED },
+  adaptiveMaxSpeed: { type: 'number', default: 2.5, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED },
+  rampFrom: { type: 'number', default: 1, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED }, // Last speed ramp used in the panel
+  rampTo: { type: 'number', default: 2, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED },
+  rampAmount: { type: 'number', default: 10, min: 1, max: 600 }, // Minutes, or percent of the video
+  rampUnit: { type: 'string', default: 'minutes', values: ['minutes', 'percent'] },
+  abLoops: { type: 'object', default: {} }, // A-B loops per video { videoId: { start, end, speed, step, every, until, lastUsed } }
+  chapterRulesEnabled: { type: 'boolean', default: false },
+  chapterRules: { type: 'array', default: null }, // null means the example rules (see chapters.js)
+  shortsSpeedEnabled: { type: 'boolean', default: false },
+  shortsSpeed: { type: 'number', default: 1.5, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED }, // Default speed for Shorts
+  hudEnabled: { type: 'boolean', default: true },
+  hudPosition: { type: 'string', default: 'top-right', values: HUD_POSITIONS },
+  hudDuration: { type: 'number', default: 1200, min: 300, max: 10000 }, // ms the HUD stays up after a change
+  hudOpacity: { type: 'number', default: 0.85, min: 0.1, max: 1 },
+  hudBadge: { type: 'boolean', default: false }, // Keep a small speed badge up between changes
+  adMode: { type: 'string', default: 'normal', values: AD_MODES },
+  adSpeed: { type: 'number', default: 2, min: BROWSER_MIN_SPEED, max: BROWSER_MAX_SPEED }, // Used when adMode is 'speed'
+  tabSpeedMode: { type: 'string', default: 'linked', values: TAB_SPEED_MODES }, // Mode of tabs that haven't picked one in the popup
+  syncEnabled: { type: 'boolean', default: false }, // Mirror settings to chrome.storage.sync (see sync.js)
+  syncTimestamps: { type: 'object', default: {} }, // When each synced key last changed on this device
+  syncStatus: { type: 'object', default: {} }, // { lastSync, error, skipped } of the last push
+  controlsSelectors: { type: 'object', default: {} }, // { surface: [selector] } tried before the built-in ones (see selectors.js)
+  debugMode: { type: 'boolean', default: false }, // Show the diagnostics log in the page's console
+  logLevel: { type: 'string', default: 'info', values: LOG_LEVELS } // Most detailed level logged in debug mode
+};
+
+// Keys that describe the allowed speed range and must agree with each other
+const SPEED_RANGE_KEYS = ['minSpeed', 'maxSpeed', 'speedStep', 'sliderMin', 'sliderMax'];
+
+// Keys the options page edits (everything else is state written while watching)
+const OPTION_KEYS = SPEED_RANGE_KEYS.concat([
+  'shortcutsEnabled', 'shortcuts',
+  'smartSpeedEnabled', 'smartSpeedThreshold', 'smartSpeedMinSilence', 'smartSpeedBoost',
+  'adaptiveSpeedEnabled', 'adaptiveTargetWpm', 'adaptiveMinSpeed', 'adaptiveMaxSpeed',
+  'chapterRulesEnabled', 'chapterRules',
+  'shortsSpeedEnabled', 'shortsSpeed',
+  'hudEnabled', 'hudPosition', 'hudDuration', 'hudOpacity', 'hudBadge',
+  'adMode', 'adSpeed',
+  'tabSpeedMode',
+  'syncEnabled',
+  'controlsSelectors',
+  'debugMode', 'logLevel'
+]);
+
+// Migrations keyed by the version they upgrade to. Each one receives a copy of
+// everything in storage and changes it in place.
+const SETTINGS_MIGRATIONS = {
+  // 0 -> 1: before the settings module only playbackSpeed (and later the
+  // channel/video/preset keys) existed, with no version and no validation
+  1: (data) => {
+    if (data.playbackSpeed !== undefined) {
+      const speed = parseFloat(data.playbackSpeed);
+      if (isNaN(speed)) {
+        delete data.playbackSpeed;
+      } else {
+        data.playbackSpeed = Math.min(Math.max(speed, SETTINGS_SCHEMA.minSpeed.default), SETTINGS_SCHEMA.maxSpeed.default);
+      }
+    }
+  }
+};
+
+// Copy a default so callers can't modify the schema by accident
+function cloneSettingValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Check a single value against its schema entry
+function isValidSettingValue(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) return false;
+  if (value === null) return schema.default === null;
+
+  switch (schema.type) {
+    case 'number':
+      return typeof value === 'number' && !isNaN(value) &&
+        (schema.min === undefined || value >= schema.min) &&
+        (schema.max === undefined || value <= schema.max);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'string':
+      return typeof value === 'string' && (!schema.values || schema.values.includes(value));
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+// Get the default value of every setting
+function getDefaultSettings() {
+  const defaults = {};
+  Object.keys(SETTINGS_SCHEMA).forEach(key => {
+    defaults[key] = cloneSettingValue(SETTINGS_SCHEMA[key].default);
+  });
+  return defaults;
+}
+
+// Check settings that depend on each other; returns a list of problems
+function validateSettings(values) {
+  const errors = [];
+
+  Object.keys(values).forEach(key => {
+    if (!isValidSettingValue(key, values[key])) {
+      const schema = SETTINGS_SCHEMA[key];
+      if (schema && schema.min !== undefined && schema.max !== undefined) {
+        errors.push(`${key} must be between ${schema.min} and ${schema.max}`);
+      } else {
+        errors.push(`${key} is not a valid ${schema ? schema.type : 'setting'}`);
+      }
+    }
+  });
+
+  if (values.minSpeed >= values.maxSpeed) {
+    errors.push('Minimum speed must be lower than maximum speed');
+  }
+  if (values.sliderMin >= values.sliderMax) {
+    errors.push('Slider start must be lower than slider end');
+  }
+  if (values.sliderMin < values.minSpeed || values.sliderMax > values.maxSpeed) {
+    errors.push('Slider range must stay within the minimum and maximum speed');
+  }
+  if (values.adaptiveMinSpeed >= values.adaptiveMaxSpeed) {
+    errors.push('Adaptive speed minimum must be lower than its maximum');
+  }
+  if (values.shortsSpeed < values.minSpeed || values.shortsSpeed > values.maxSpeed) {
+    errors.push('Shorts speed must be between the minimum and maximum speed');
+  }
+  if (values.adSpeed < values.minSpeed || values.adSpeed > values.maxSpeed) {
+    errors.push('Ad speed must be between the minimum and maximum speed');
+  }
+
+  return errors;
+}
+
+// Fill in defaults for missing or invalid values
+function normalizeSettings(stored) {
+  const settings = getDefaultSettings();
+  Object.keys(SETTINGS_SCHEMA).forEach(key => {
+    if (stored[key] !== undefined && isValidSettingValue(key, stored[key])) {
+      settings[key] = stored[key];
+    }
+  });
+
+  // Fall back to the default ranges if the stored ones contradict each other
+  if (validateSettings(pickSettings(settings, SPEED_RANGE_KEYS)).length > 0) {
+    SPEED_RANGE_KEYS.forEach(key => {
+      settings[key] = SETTINGS_SCHEMA[key].default;
+    });
+  }
+  return settings;
+}
+
+// Pick a subset of keys from a settings object
+function pickSettings(settings, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    picked[key] = settings[key];
+  });
+  return picked;
+}
+
+// Check that a speed is a number within the configured range
+function isValidSpeed(speed, settings) {
+  return typeof speed === 'number' && !isNaN(speed) &&
+    speed >= settings.minSpeed && speed <= settings.maxSpeed;
+}
+
+// Add an entry to the diagnostics log (see logger.js). The shared scripts (settings, sync,
+// presets, chapters) also run in the popup, options page and background worker, which don't
+// load the logger; there errors and warnings go to the console and the rest is dropped.
+function logSettingsEvent(level, category, ...parts) {
+  if (typeof writeLog === 'function') {
+    writeLog(level, category, parts);
+  } else if (level === 'error' || level === 'warn') {
+    console[level]('[YT Speed]', `[${category}]`, ...parts);
+  }
+}
+
+// Load all settings (with defaults applied) from storage
+async function loadSettings() {
+  try {
+    const stored = await chrome.storage.local.get(Object.keys(SETTINGS_SCHEMA));
+    return normalizeSettings(stored);
+  } catch (error) {
+    logSettingsEvent('error', 'storage', 'Error loading settings:', error);
+    return getDefaultSettings();
+  }
+}
+
+// Load a single setting (with its default applied) from storage
+async function loadSetting(key) {
+  try {
+    const stored = await chrome.storage.local.get([key]);
+    if (stored[key] !== undefined && isValidSettingValue(key, stored[key])) {
+      return stored[key];
+    }
+  } catch (error) {
+    logSettingsEvent('error', 'storage', `Error loading ${key}:`, error);
+  }
+  return cloneSettingValue(SETTINGS_SCHEMA[key].default);
+}
+
+// Validate and store some settings; returns a list of problems (empty on success)
+async function saveSettings(values) {
+  const invalidKeys = Object.keys(values).filter(key => !isValidSettingValue(key, values[key]));
+  if (invalidKeys.length > 0) {
+    return invalidKeys.map(key => `${key} is not valid`);
+  }
+
+  await chrome.storage.local.set(values);
+  await pushSyncedSettings(values).catch(error => {
+    logSettingsEvent('error', 'sync', 'Error syncing settings:', error);
+  });
+  return [];
+}
+
+// Run the migrations from fromVersion up to SETTINGS_VERSION on a copy of stored data
+function runSettingsMigrations(data, fromVersion) {
+  for (let version = fromVersion + 1; version <= SETTINGS_VERSION; version++) {
+    if (SETTINGS_MIGRATIONS[version]) {
+      SETTINGS_MIGRATIONS[version](data);
+    }
+  }
+  data.settingsVersion = SETTINGS_VERSION;
+  return data;
+}
+
+// Upgrade stored data written by older versions of the extension
+async function migrateSettings() {
+  try {
+    const stored = await chrome.storage.local.get(null);
+    const fromVersion = typeof stored.settingsVersion === 'number' ? stored.settingsVersion : 0;
+    if (fromVersion >= SETTINGS_VERSION) return;
+
+    const data = runSettingsMigrations(JSON.parse(JSON.stringify(stored)), fromVersion);
+
+    // Only write what the migrations actually changed
+    const removedKeys = Object.keys(stored).filter(key => !(key in data));
+    const changed = {};
+    Object.keys(data).forEach(key => {
+      if (JSON.stringify(data[key]) !== JSON.stringify(stored[key])) {
+        changed[key] = data[key];
+      }
+    });
+    if (removedKeys.length > 0) {
+      await chrome.storage.local.remove(removedKeys);
+    }
+    await chrome.storage.local.set(changed);
+    logSettingsEvent('info', 'storage', `Migrated settings from version ${fromVersion} to ${SETTINGS_VERSION}`);
+  } catch (error) {
+    logSettingsEvent('error', 'storage', 'Error migrating settings:', error);
+  }
+}
@@ -0,0 +1,120 @@
+// YouTube Custom Speed Control - Keyboard Shortcuts
+// Shared by content.js (handles the keys) and options.js (edits the bindings)
+
+// Bindable actions, in the order the options page lists them
+const SHORTCUT_ACTIONS = [
+  { id: 'speedUp', label: 'Speed up' },
+  { id: 'slowDown', label: 'Slow down' },
+  { id: 'reset', label: 'Reset to 1x' },
+  { id: 'toggleLast', label: 'Toggle last speed' },
+  { id: 'preset1', label: 'Preset 1' },
+  { id: 'preset2', label: 'Preset 2' },
+  { id: 'preset3', label: 'Preset 3' },
+  { id: 'preset4', label: 'Preset 4' },
+  { id: 'preset5', label: 'Preset 5' },
+  { id: 'preset6', label: 'Preset 6' },
+  { id: 'preset7', label: 'Preset 7' },
+  { id: 'preset8', label: 'Preset 8' },
+  { id: 'preset9', label: 'Preset 9' }
+];
+
+// Bindings are "Modifier+...+KeyboardEvent.code" so they work on any keyboard layout.
+// Stored bindings only hold overrides; an empty string means the action is unbound.
+const DEFAULT_SHORTCUTS = {
+  speedUp: 'KeyD',
+  slowDown: 'KeyS',
+  reset: 'KeyR',
+  toggleLast: 'KeyG',
+  preset1: 'Shift+Digit1',
+  preset2: 'Shift+Digit2',
+  preset3: 'Shift+Digit3',
+  preset4: 'Shift+Digit4',
+  preset5: 'Shift+Digit5',
+  preset6: 'Shift+Digit6',
+  preset7: 'Shift+Digit7',
+  preset8: 'Shift+Digit8',
+  preset9: 'Shift+Digit9'
+};
+
+// Keys YouTube's own player and page already use
+const YOUTUBE_RESERVED_SHORTCUTS = [
+  'Space', 'KeyK', 'KeyJ', 'KeyL', 'KeyM', 'KeyF', 'KeyT', 'KeyI', 'KeyC', 'KeyO', 'KeyW',
+  'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Comma', 'Period',
+  'Equal', 'Minus', 'Slash', 'Escape', 'Enter', 'Tab',
+  'Digit0', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9',
+  'Numpad0', 'Numpad1', 'Numpad2', 'Numpad3', 'Numpad4', 'Numpad5', 'Numpad6', 'Numpad7', 'Numpad8', 'Numpad9',
+  'Shift+KeyN', 'Shift+KeyP', 'Shift+Comma', 'Shift+Period', 'Shift+Slash'
+];
+
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+// Readable names for codes that don't speak for themselves
+const SHORTCUT_KEY_NAMES = {
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: "'",
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backquote: '`',
+  Equal: '=',
+  Minus: '-'
+};
+
+// Merge stored overrides with the defaults
+function getShortcutBindings(storedShortcuts) {
+  return Object.assign({}, DEFAULT_SHORTCUTS, storedShortcuts || {});
+}
+
+// Turn a keydown event into a binding string (null for lone modifier keys)
+function getShortcutFromEvent(e) {
+  if (!e.code || MODIFIER_CODES.includes(e.code)) return null;
+
+  const parts = [];
+  if (e.ctrlKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  if (e.metaKey) parts.push('Meta');
+  parts.push(e.code);
+  return parts.join('+');
+}
+
+// Turn a binding string into something readable (e.g. "Shift+1")
+function formatShortcut(shortcut) {
+  if (!shortcut) return 'Not set';
+
+  return shortcut.split('+').map(part => {
+    if (SHORTCUT_KEY_NAMES[part]) return SHORTCUT_KEY_NAMES[part];
+    return part.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+  }).join('+');
+}
+
+// Find bindings that clash with YouTube or with each other; returns a list of problems
+function findShortcutConflicts(bindings) {
+  const errors = [];
+  const usedBy = {};
+
+  SHORTCUT_ACTIONS.forEach(action => {
+    const shortcut = bindings[action.id];
+    if (!shortcut) return;
+
+    if (YOUTUBE_RESERVED_SHORTCUTS.includes(shortcut)) {
+      errors.push(`${action.label}: ${formatShortcut(shortcut)} is already used by YouTube`);
+    }
+    if (usedBy[shortcut]) {
+      errors.push(`${action.label}: ${formatShortcut(shortcut)} is already used by ${usedBy[shortcut]}`);
+    } else {
+      usedBy[shortcut] = action.label;
+    }
+  });
+
+  return errors;
+}
+
+// Find the action bound to a shortcut, if any
+function findShortcutAction(bindings, shortcut) {
+  const action = SHORTCUT_ACTIONS.find(candidate => bindings[candidate.id] === shortcut);
+  return action ? action.id : null;
+}
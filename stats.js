@@ -0,0 +1,185 @@
+// YouTube Custom Speed Control - Watch Statistics
+// Shared by background.js (stores the watch time content.js counts) and popup.js (shows the dashboard).
+// Only the background worker writes the stats, one write at a time, so tabs playing at the
+// same time don't read the same stats and overwrite each other's watch time.
+// Stats are stored as one object under the watchStats key:
+//   days     - per-day rollups { 'YYYY-MM-DD': { media, wall } }
+//   videos   - per-video totals { videoId: { media, wall, channelId, lastWatched } }
+//   channels - per-channel totals { channelId: { name, media, wall, lastWatched } }
+//   speeds   - media seconds watched per speed bucket { '1.75': seconds }
+//   archived - totals of days that fell out of the rollups { media, wall }
+// "media" is seconds of video watched, "wall" is real seconds it took.
+
+const MAX_STATS_DAYS = 365;
+const MAX_STATS_VIDEOS = 500;
+const MAX_STATS_CHANNELS = 200;
+const STATS_SPEED_BUCKET = 0.25; // Histogram bucket width
+const MAX_TOP_CHANNELS = 5;
+
+// Create an empty stats object
+function getEmptyWatchStats() {
+  return { days: {}, videos: {}, channels: {}, speeds: {}, archived: { media: 0, wall: 0 } };
+}
+
+// Fill in anything missing from stored stats (e.g. before the first recording)
+function normalizeWatchStats(stored) {
+  const stats = getEmptyWatchStats();
+  if (!stored || typeof stored !== 'object') return stats;
+
+  ['days', 'videos', 'channels', 'speeds'].forEach(key => {
+    if (stored[key] && typeof stored[key] === 'object') {
+      stats[key] = stored[key];
+    }
+  });
+  if (stored.archived && typeof stored.archived.media === 'number') {
+    stats.archived = stored.archived;
+  }
+  return stats;
+}
+
+// Get the local date key a recording is filed under
+function getStatsDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Get the histogram bucket for a playback rate (e.g. 1.8 -> '1.75')
+function getSpeedBucket(rate) {
+  return (Math.round(rate / STATS_SPEED_BUCKET) * STATS_SPEED_BUCKET).toFixed(2);
+}
+
+// Add a stretch of watching to the stats
+// entry: { videoId, channel: { id, name } | null, media, wall, speeds: { bucket: seconds }, date }
+function addWatchTime(stats, entry) {
+  const now = entry.date.getTime();
+  const dayKey = getStatsDateKey(entry.date);
+  const addTotals = (target) => {
+    target.media = (target.media || 0) + entry.media;
+    target.wall = (target.wall || 0) + entry.wall;
+  };
+
+  stats.days[dayKey] = stats.days[dayKey] || { media: 0, wall: 0 };
+  addTotals(stats.days[dayKey]);
+
+  if (entry.videoId) {
+    const video = stats.videos[entry.videoId] || { media: 0, wall: 0 };
+    addTotals(video);
+    video.lastWatched = now;
+    if (entry.channel) {
+      video.channelId = entry.channel.id;
+    }
+    stats.videos[entry.videoId] = video;
+  }
+
+  if (entry.channel) {
+    const channel = stats.channels[entry.channel.id] || { media: 0, wall: 0 };
+    addTotals(channel);
+    channel.name = entry.channel.name;
+    channel.lastWatched = now;
+    stats.channels[entry.channel.id] = channel;
+  }
+
+  Object.keys(entry.speeds).forEach(bucket => {
+    stats.speeds[bucket] = (stats.speeds[bucket] || 0) + entry.speeds[bucket];
+  });
+  return stats;
+}
+
+// Keep only the most recently watched entries of a map
+function capByLastWatched(entries, max) {
+  const ids = Object.keys(entries);
+  if (ids.length <= max) return;
+  ids
+    .sort((a, b) => (entries[a].lastWatched || 0) - (entries[b].lastWatched || 0))
+    .slice(0, ids.length - max)
+    .forEach(id => delete entries[id]);
+}
+
+// Keep the stored stats small: old days are rolled into the archived totals,
+// and only the most recently watched videos and channels are kept
+function pruneWatchStats(stats) {
+  const dayKeys = Object.keys(stats.days).sort();
+  dayKeys.slice(0, Math.max(dayKeys.length - MAX_STATS_DAYS, 0)).forEach(key => {
+    stats.archived.media += stats.days[key].media;
+    stats.archived.wall += stats.days[key].wall;
+    delete stats.days[key];
+  });
+  capByLastWatched(stats.videos, MAX_STATS_VIDEOS);
+  capByLastWatched(stats.channels, MAX_STATS_CHANNELS);
+  return stats;
+}
+
+// Work out the totals, histogram and top channels shown in the popup
+function summarizeWatchStats(stats, now) {
+  const totals = (media, wall) => ({ media: media, wall: wall, saved: Math.max(media - wall, 0) });
+  const todayKey = getStatsDateKey(now);
+  const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6);
+  const weekStartKey = getStatsDateKey(weekStart);
+
+  let weekMedia = 0;
+  let weekWall = 0;
+  let allMedia = stats.archived.media;
+  let allWall = stats.archived.wall;
+  Object.keys(stats.days).forEach(key => {
+    const day = stats.days[key];
+    allMedia += day.media;
+    allWall += day.wall;
+    if (key >= weekStartKey) {
+      weekMedia += day.media;
+      weekWall += day.wall;
+    }
+  });
+  const today = stats.days[todayKey] || { media: 0, wall: 0 };
+
+  const speedTotal = Object.keys(stats.speeds).reduce((sum, bucket) => sum + stats.speeds[bucket], 0);
+  const histogram = Object.keys(stats.speeds)
+    .sort((a, b) => parseFloat(a) - parseFloat(b))
+    .map(bucket => ({
+      speed: parseFloat(bucket),
+      media: stats.speeds[bucket],
+      percent: speedTotal > 0 ? (stats.speeds[bucket] / speedTotal) * 100 : 0
+    }));
+
+  const topChannels = Object.keys(stats.channels)
+    .map(id => {
+      const channel = stats.channels[id];
+      return { id: id, name: channel.name || id, media: channel.media, saved: Math.max(channel.media - channel.wall, 0) };
+    })
+    .sort((a, b) => b.saved - a.saved)
+    .slice(0, MAX_TOP_CHANNELS);
+
+  return {
+    today: totals(today.media, today.wall),
+    week: totals(weekMedia, weekWall),
+    allTime: totals(allMedia, allWall),
+    histogram: histogram,
+    topChannels: topChannels
+  };
+}
+
+// Format seconds for the dashboard (e.g. 45s, 12m 30s, 3h 05m)
+function formatStatsDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(total % 60).padStart(2, '0')}s`;
+  return `${total}s`;
+}
+
+// Load stats from storage
+async function loadWatchStats() {
+  return normalizeWatchStats(await loadSetting('watchStats'));
+}
+
+// Add stretches of watching to the stored stats in one write
+async function recordWatchTime(entries) {
+  const stats = pruneWatchStats(entries.reduce(addWatchTime, await loadWatchStats()));
+  await saveSettings({ watchStats: stats });
+}
+
+// Clear all stats
+async function resetWatchStats() {
+  await saveSettings({ watchStats: getEmptyWatchStats() });
+}
@@ -0,0 +1,222 @@
+// YouTube Custom Speed Control - Settings Sync
+// Opt-in mirror of settings to chrome.storage.sync so they follow the user between computers.
+// chrome.storage.local stays what everything reads: saveSettings pushes synced keys to sync,
+// and changes from other computers are pulled back into local by the background service worker
+// alone (one write per change), where the usual storage listeners pick them up. Each synced
+// item is stored as { value, updatedAt } and the newer write wins. Loaded right after settings.js.
+
+// Sync bookkeeping and debugging switches that only make sense on this device
+// (never synced, exported or imported)
+const DEVICE_ONLY_KEYS = ['syncEnabled', 'syncTimestamps', 'syncStatus', 'debugMode', 'logLevel'];
+
+// Keys mirrored to sync; per-video data, stats and panel state stay on this device
+const SYNC_KEYS = OPTION_KEYS
+  .filter(key => !DEVICE_ONLY_KEYS.includes(key))
+  .concat(['playbackSpeed', 'speedPresets', 'channelSpeeds']);
+
+// The live speed changes constantly (slider drags, shortcuts), so only the speed it settles on is pushed
+const SYNC_DELAYED_KEYS = ['playbackSpeed'];
+const SYNC_PUSH_DELAY = 5000;
+
+// chrome.storage.sync limits: bytes per item (key + JSON value) and in total
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_QUOTA_BYTES = 102400;
+
+let syncPushTimeout = null; // Timer that pushes SYNC_DELAYED_KEYS
+
+// Size chrome.storage.sync counts for an item
+function getSyncItemSize(key, item) {
+  return new TextEncoder().encode(key + JSON.stringify(item)).length;
+}
+
+// Remember how the last push went, for the options page
+async function updateSyncStatus(pushedKeys, skippedKeys, error) {
+  const previous = await loadSetting('syncStatus');
+  const skipped = (previous.skipped || [])
+    .filter(key => !pushedKeys.includes(key) && !skippedKeys.includes(key))
+    .concat(skippedKeys);
+  await chrome.storage.local.set({
+    syncStatus: { lastSync: Date.now(), error: error || null, skipped: skipped }
+  });
+}
+
+// Write items to sync, leaving out (and removing) any that don't fit its quotas
+// Returns the keys that were left out
+async function writeSyncItems(items) {
+  const sizes = {};
+  const skipped = [];
+  Object.keys(items).forEach(key => {
+    sizes[key] = getSyncItemSize(key, items[key]);
+    if (sizes[key] > SYNC_QUOTA_BYTES_PER_ITEM) {
+      skipped.push(key);
+      delete items[key];
+    }
+  });
+
+  // Leave out the largest items until the total fits
+  const keys = Object.keys(items).sort((a, b) => sizes[b] - sizes[a]);
+  if (keys.length > 0) {
+    const replacedBytes = await chrome.storage.sync.getBytesInUse(keys);
+    let total = await chrome.storage.sync.getBytesInUse(null) - replacedBytes +
+      keys.reduce((sum, key) => sum + sizes[key], 0);
+    keys.forEach(key => {
+      if (total > SYNC_QUOTA_BYTES) {
+        total -= sizes[key];
+        skipped.push(key);
+        delete items[key];
+      }
+    });
+  }
+
+  if (Object.keys(items).length > 0) {
+    await chrome.storage.sync.set(items);
+  }
+  // Don't leave an outdated copy for other computers to pull
+  if (skipped.length > 0) {
+    const outdated = Object.keys(await chrome.storage.sync.get(skipped));
+    if (outdated.length > 0) {
+      await chrome.storage.sync.remove(outdated);
+    }
+    logSettingsEvent('info', 'sync', 'Too large to sync, kept on this device:', skipped);
+  }
+  return skipped;
+}
+
+// Push the locally stored values of some keys with their timestamps
+async function pushLocalKeys(keys) {
+  try {
+    const settings = await loadSettings();
+    const timestamps = await loadSetting('syncTimestamps');
+    const items = {};
+    keys.forEach(key => {
+      items[key] = { value: settings[key], updatedAt: timestamps[key] || Date.now() };
+    });
+    const skipped = await writeSyncItems(items);
+    await updateSyncStatus(keys.filter(key => !skipped.includes(key)), skipped);
+  } catch (error) {
+    // Quota and write-rate errors end up here
+    logSettingsEvent('error', 'sync', 'Error syncing settings:', error);
+    await updateSyncStatus([], [], error.message || String(error));
+  }
+}
+
+// Mirror saved settings to sync (called by saveSettings after every local write)
+async function pushSyncedSettings(values) {
+  const keys = Object.keys(values).filter(key => SYNC_KEYS.includes(key));
+  if (keys.length === 0) return;
+  const stored = await chrome.storage.local.get(['syncEnabled', 'syncTimestamps']);
+  if (!stored.syncEnabled) return;
+
+  // Stamp the change now, even if the push itself waits
+  const timestamps = Object.assign({}, stored.syncTimestamps);
+  const now = Date.now();
+  keys.forEach(key => {
+    timestamps[key] = now;
+  });
+  await chrome.storage.local.set({ syncTimestamps: timestamps });
+
+  const immediateKeys = keys.filter(key => !SYNC_DELAYED_KEYS.includes(key));
+  if (immediateKeys.length > 0) {
+    await pushLocalKeys(immediateKeys);
+  }
+  if (immediateKeys.length < keys.length) {
+    scheduleDelayedSyncPush();
+  }
+}
+
+// Push SYNC_DELAYED_KEYS once they've settled. The wait runs in the background service worker,
+// so a popup or tab that closes within the delay doesn't lose the push; a page that can't reach
+// the worker waits itself.
+function scheduleDelayedSyncPush() {
+  if (typeof window === 'undefined') {
+    startDelayedSyncPush();
+    return;
+  }
+  try {
+    chrome.runtime.sendMessage({ action: 'scheduleSyncPush' }).catch(() => startDelayedSyncPush());
+  } catch (error) {
+    // The extension was reloaded and this page still runs the old script
+    startDelayedSyncPush();
+  }
+}
+
+// (Re)start the wait for SYNC_DELAYED_KEYS in this page or worker
+function startDelayedSyncPush() {
+  if (syncPushTimeout) {
+    clearTimeout(syncPushTimeout);
+  }
+  syncPushTimeout = setTimeout(() => {
+    syncPushTimeout = null;
+    pushLocalKeys(SYNC_DELAYED_KEYS);
+  }, SYNC_PUSH_DELAY);
+}
+
+// Copy synced items that are newer than this device's values into local storage
+// Returns the keys that were updated
+async function pullSyncItems(remote) {
+  const stored = await chrome.storage.local.get(['syncEnabled', 'syncTimestamps']);
+  if (!stored.syncEnabled) return [];
+
+  const timestamps = Object.assign({}, stored.syncTimestamps);
+  const updates = {};
+  Object.keys(remote).forEach(key => {
+    const item = remote[key];
+    if (!SYNC_KEYS.includes(key) || !item || typeof item.updatedAt !== 'number') return;
+    if (item.updatedAt > (timestamps[key] || 0) && isValidSettingValue(key, item.value)) {
+      updates[key] = item.value;
+      timestamps[key] = item.updatedAt;
+    }
+  });
+
+  const keys = Object.keys(updates);
+  if (keys.length > 0) {
+    updates.syncTimestamps = timestamps;
+    await chrome.storage.local.set(updates);
+    logSettingsEvent('debug', 'sync', 'Pulled synced settings:', keys);
+  }
+  return keys;
+}
+
+// Handle chrome.storage.onChanged for the sync area (changes from other computers);
+// only background.js listens, so each change is written to local storage once
+async function applySyncedChanges(changes) {
+  const remote = {};
+  Object.keys(changes).forEach(key => {
+    if (changes[key].newValue) {
+      remote[key] = changes[key].newValue;
+    }
+  });
+  try {
+    await pullSyncItems(remote);
+  } catch (error) {
+    logSettingsEvent('error', 'sync', 'Error applying synced settings:', error);
+  }
+}
+
+// Bring local and sync in line: newer synced values are pulled, newer local ones pushed.
+// Values that were never synced from this device lose to synced ones, so a new computer
+// adopts the settings of the others. Runs when the browser starts or the extension is
+// installed or updated (background.js), and when sync is turned on (options.js).
+async function reconcileSyncedSettings() {
+  try {
+    if (!await loadSetting('syncEnabled')) return;
+    const remote = await chrome.storage.sync.get(SYNC_KEYS);
+    await pullSyncItems(remote);
+
+    const timestamps = await loadSetting('syncTimestamps');
+    const now = Date.now();
+    const pushKeys = SYNC_KEYS.filter(key => {
+      if (!remote[key]) {
+        timestamps[key] = timestamps[key] || now;
+        return true;
+      }
+      return (timestamps[key] || 0) > remote[key].updatedAt;
+    });
+    if (pushKeys.length > 0) {
+      await chrome.storage.local.set({ syncTimestamps: timestamps });
+      await pushLocalKeys(pushKeys);
+    }
+  } catch (error) {
+    logSettingsEvent('error', 'sync', 'Error reconciling synced settings:', error);
+  }
+}
@@ -0,0 +1,203 @@
+// Headless tests for the speed ownership state machine (ownership.js), driven by a fake <video>
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SPEED_OWNER_STATES, createSpeedOwnership } = require('../ownership.js');
+
+// Just enough of an HTMLVideoElement: like a browser, rate changes fire ratechange
+// asynchronously, so they queue up until flush()
+class FakeVideo {
+  constructor() {
+    this.rate = 1;
+    this.paused = true;
+    this.readyState = 0;
+    this.listeners = {};
+    this.queue = [];
+  }
+
+  get playbackRate() {
+    return this.rate;
+  }
+
+  set playbackRate(value) {
+    if (value === this.rate) return;
+    this.rate = value;
+    this.queue.push('ratechange');
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  emit(type) {
+    (this.listeners[type] || []).forEach(listener => listener());
+  }
+
+  flush() {
+    while (this.queue.length > 0) {
+      this.emit(this.queue.shift());
+    }
+  }
+
+  // The page changed the rate itself (e.g. YouTube's hold for 2x)
+  setRateFromPage(value) {
+    this.playbackRate = value;
+    this.flush();
+  }
+
+  play() {
+    this.readyState = 4;
+    this.paused = false;
+    this.emit('playing');
+    this.flush();
+  }
+
+  // A new source resets the element, rate included
+  load() {
+    this.readyState = 0;
+    this.emit('loadstart');
+    this.rate = 1;
+    this.emit('ratechange');
+    this.flush();
+  }
+}
+
+// An ownership machine attached to a playing video at the user's speed
+function setup(userSpeed = 1.5) {
+  const restores = [];
+  const ownership = createSpeedOwnership({
+    onRestore: (speed, reason) => restores.push({ speed, reason })
+  });
+  const video = new FakeVideo();
+  ownership.setUserSpeed(userSpeed);
+  ownership.attach(video);
+  video.flush();
+  video.play();
+  restores.length = 0;
+  return { ownership, video, restores };
+}
+
+test('attaching a video that is not playing yet holds the user speed until it plays', () => {
+  const ownership = createSpeedOwnership();
+  const video = new FakeVideo();
+  ownership.setUserSpeed(1.5);
+  ownership.attach(video);
+  video.flush();
+  assert.strictEqual(video.playbackRate, 1.5);
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.RESTORING);
+
+  video.play();
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.USER);
+});
+
+test('hold for 2x is left alone and releasing it returns to the user speed', () => {
+  const { ownership, video } = setup();
+
+  video.setRateFromPage(2);
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.YOUTUBE);
+  assert.strictEqual(video.playbackRate, 2);
+  assert.strictEqual(ownership.getTemporarySpeed(), 2);
+
+  // YouTube drops back to its own 1x when the hold ends
+  video.setRateFromPage(1);
+  assert.strictEqual(video.playbackRate, 1.5);
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.USER);
+  assert.strictEqual(ownership.getTemporarySpeed(), null);
+});
+
+test('a hold released straight back to the user speed needs no restore', () => {
+  const { ownership, video, restores } = setup();
+
+  video.setRateFromPage(2);
+  video.setRateFromPage(1.5);
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.USER);
+  assert.deepStrictEqual(restores, []);
+});
+
+test('a rate change by the page while the user owns the rate hands it to YouTube', () => {
+  const { ownership, video } = setup();
+
+  video.setRateFromPage(1.25);
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.YOUTUBE);
+  assert.strictEqual(video.playbackRate, 1.25);
+  assert.strictEqual(ownership.getUserSpeed(), 1.5);
+});
+
+test('loadstart resets are undone and held until the new source plays', () => {
+  const { ownership, video } = setup();
+
+  video.load();
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.RESTORING);
+  assert.strictEqual(video.playbackRate, 1.5);
+
+  // Resets while restoring are undone straight away
+  video.setRateFromPage(1);
+  assert.strictEqual(video.playbackRate, 1.5);
+
+  video.play();
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.USER);
+  assert.strictEqual(video.playbackRate, 1.5);
+});
+
+test('ads play at the ad speed and the user speed returns when they end', () => {
+  const { ownership, video, restores } = setup();
+
+  ownership.startAd(1);
+  video.flush();
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.AD);
+  assert.strictEqual(video.playbackRate, 1);
+
+  // YouTube resets the rate when the next ad loads; it stays at the ad speed
+  video.setRateFromPage(1.25);
+  assert.strictEqual(video.playbackRate, 1);
+
+  // A speed picked during the ad is kept for afterwards
+  ownership.setUserSpeed(1.75);
+  assert.strictEqual(video.playbackRate, 1);
+
+  ownership.endAd();
+  video.flush();
+  assert.strictEqual(video.playbackRate, 1.75);
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.USER);
+  assert.deepStrictEqual(restores, [{ speed: 1.75, reason: 'ad-ended' }]);
+});
+
+test('a rule speed applies until the user picks a speed', () => {
+  const { ownership, video } = setup();
+
+  ownership.setRuleSpeed(3, 'smart');
+  video.flush();
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.RULE);
+  assert.strictEqual(ownership.getRuleSource(), 'smart');
+  assert.strictEqual(video.playbackRate, 3);
+
+  // Releasing the rule is content.js handing the rate back with setUserSpeed
+  ownership.setUserSpeed(ownership.getUserSpeed());
+  video.flush();
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.USER);
+  assert.strictEqual(ownership.getRuleSource(), null);
+  assert.strictEqual(video.playbackRate, 1.5);
+});
+
+test('rule speeds are ignored during ads', () => {
+  const { ownership, video } = setup();
+
+  ownership.startAd(2);
+  ownership.setRuleSpeed(3, 'chapter');
+  video.flush();
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.AD);
+  assert.strictEqual(video.playbackRate, 2);
+});
+
+test('a detached video is no longer followed', () => {
+  const { ownership, video } = setup();
+
+  ownership.detach();
+  video.setRateFromPage(2);
+  assert.strictEqual(ownership.getState(), SPEED_OWNER_STATES.USER);
+  assert.strictEqual(video.playbackRate, 2);
+});